@@ -0,0 +1,367 @@
+/**
+ * Fixture data for the mock Qubic RPC server
+ *
+ * The default fixture set is generated deterministically so that every run of the
+ * offline tests sees the same epochs, ticks and transactions. A custom set can be
+ * loaded from a JSON file (see loadFixtures) using the same shape.
+ */
+const fs = require('fs');
+const { publicKeyToIdentity, identityToPublicKey, contractIdentity } = require('../src/services/qubicIdentity');
+
+// Identities are valid so they survive the public key round trip of event logs
+const MOCK_SOURCE_ID = publicKeyToIdentity(Buffer.alloc(32, 1));
+const MOCK_DEST_ID = publicKeyToIdentity(Buffer.alloc(32, 2));
+const MOCK_ISSUER_ID = publicKeyToIdentity(Buffer.alloc(32, 7));
+const MOCK_TRADER_ID = publicKeyToIdentity(Buffer.alloc(32, 9));
+const MOCK_COUNTERPARTY_ID = publicKeyToIdentity(Buffer.alloc(32, 11));
+const MOCK_QX_ASSET_NAME = 'MOCK';
+const MOCK_QX_ASSET_DECIMALS = 2;
+const QX_ADDRESS = contractIdentity(1);
+const QSWAP_ADDRESS = contractIdentity(13);
+// QX keeps 0.5% of every trade and pays the seller the rest, rounded down
+const QX_TRADE_FEE_BPS = 50;
+
+// Asset name as stored in a uint64: zero-padded ASCII
+function encodeAssetName(name) {
+  const bytes = Buffer.alloc(8);
+  bytes.write(name, 'ascii');
+  return bytes;
+}
+
+function encodeInt64(value) {
+  const bytes = Buffer.alloc(8);
+  bytes.writeBigInt64LE(BigInt(value));
+  return bytes;
+}
+
+// Qswap calls cycled through on every `qswapTickEvery`th tick:
+// [inputType, QU attached, input amounts, settled flows]. Flows are [side, direction, amount]
+// as seen from the trader: 'in' moves into the pool, 'out' back to the trader.
+const QSWAP_CALLS = [
+  // AddLiquidity: asset desired, QU min, asset min (QU desired is attached)
+  [4, 500000, [5000, 0, 0], [['qu', 'in', 500000], ['asset', 'in', 5000]]],
+  // SwapExactQuForAsset: asset out min
+  [6, 1000, [1], [['qu', 'in', 1000], ['asset', 'out', 9]]],
+  // SwapExactAssetForQu: asset in, QU out min
+  [8, 0, [10, 1], [['asset', 'in', 10], ['qu', 'out', 980]]],
+  // SwapQuForExactAsset: asset out (QU max is attached, the rest refunded)
+  [7, 1200, [10], [['qu', 'in', 1200], ['asset', 'out', 10], ['qu', 'out', 150]]],
+  // SwapAssetForExactQu: asset in max, QU out
+  [9, 0, [12, 1000], [['asset', 'in', 11], ['qu', 'out', 1000]]],
+  // RemoveLiquidity: liquidity burned, QU min, asset min
+  [5, 0, [100, 0, 0], [['asset', 'out', 70], ['qu', 'out', 7000]]]
+];
+
+// Flows of a swap that failed its slippage check: the attached QU is refunded
+const QSWAP_FAILED_SWAP_FLOWS = [['qu', 'in', 1000], ['qu', 'out', 1000]];
+
+// Event log entries as served by the archiver: [eventType, eventData]
+function quTransferEvent(sourceId, destId, amount) {
+  return [0, Buffer.concat([identityToPublicKey(sourceId), identityToPublicKey(destId), encodeInt64(amount)])];
+}
+
+// Issuance with managing contract index, 7-character name, decimals and unit of measurement
+function assetIssuanceEvent(issuerId, name, numberOfShares, numberOfDecimalPlaces) {
+  return [1, Buffer.concat([
+    identityToPublicKey(issuerId),
+    encodeInt64(numberOfShares),
+    encodeInt64(1),
+    encodeAssetName(name).subarray(0, 7),
+    Buffer.from([numberOfDecimalPlaces]),
+    Buffer.alloc(7)
+  ])];
+}
+
+// A share transfer emits an ownership change followed by a possession change
+function assetTransferEvents(sourceId, destId, issuerId, name, numberOfShares) {
+  const data = Buffer.concat([
+    identityToPublicKey(sourceId),
+    identityToPublicKey(destId),
+    identityToPublicKey(issuerId),
+    encodeInt64(numberOfShares),
+    encodeInt64(1),
+    encodeAssetName(name).subarray(0, 7),
+    Buffer.alloc(8)
+  ]);
+  return [[2, data], [3, data]];
+}
+
+// Events of a Qswap call settling the given flows between the trader and the pool
+function qswapFlowEvents(flows) {
+  return flows.flatMap(([side, direction, amount]) => {
+    const [from, to] = direction === 'in' ? [MOCK_TRADER_ID, QSWAP_ADDRESS] : [QSWAP_ADDRESS, MOCK_TRADER_ID];
+    return side === 'qu'
+      ? [quTransferEvent(from, to, amount)]
+      : assetTransferEvents(from, to, MOCK_ISSUER_ID, MOCK_QX_ASSET_NAME, amount);
+  });
+}
+
+// QX order outcomes by order number k: every other bid and every other ask fills, the rest rest in the book
+function qxSellerPayout(quAmount) {
+  return Math.floor(quAmount * (10000 - QX_TRADE_FEE_BPS) / 10000);
+}
+
+function qxOrderEvents(k, isBid, price) {
+  if (isBid) {
+    const events = [quTransferEvent(MOCK_TRADER_ID, QX_ADDRESS, price * 10)];
+    if (k % 4 === 1) {
+      events.push(...assetTransferEvents(MOCK_COUNTERPARTY_ID, MOCK_TRADER_ID, MOCK_ISSUER_ID, MOCK_QX_ASSET_NAME, 10));
+      events.push(quTransferEvent(QX_ADDRESS, MOCK_COUNTERPARTY_ID, qxSellerPayout(price * 10)));
+    }
+    return events;
+  }
+
+  if (k % 4 !== 0) return [];
+  return [
+    ...assetTransferEvents(MOCK_TRADER_ID, MOCK_COUNTERPARTY_ID, MOCK_ISSUER_ID, MOCK_QX_ASSET_NAME, 5),
+    quTransferEvent(QX_ADDRESS, MOCK_TRADER_ID, qxSellerPayout(price * 5))
+  ];
+}
+
+// QX IssueAsset input: name, shares, unit of measurement, decimal places (padded to 32 bytes)
+function encodeQxIssueAsset(name, numberOfShares, numberOfDecimalPlaces) {
+  const decimalPlacesAndPadding = Buffer.alloc(8);
+  decimalPlacesAndPadding.writeInt8(numberOfDecimalPlaces);
+  return Buffer.concat([
+    encodeAssetName(name),
+    encodeInt64(numberOfShares),
+    Buffer.alloc(8),
+    decimalPlacesAndPadding
+  ]).toString('hex');
+}
+
+// QX order input: issuer, asset name, price, number of shares
+function encodeQxOrder(issuer, name, price, numberOfShares) {
+  return Buffer.concat([
+    identityToPublicKey(issuer),
+    encodeAssetName(name),
+    encodeInt64(price),
+    encodeInt64(numberOfShares)
+  ]).toString('hex');
+}
+
+// Qswap input: asset issuer and name followed by sint64 amounts
+function encodeQswapInput(issuer, name, ...amounts) {
+  return Buffer.concat([
+    identityToPublicKey(issuer),
+    encodeAssetName(name),
+    ...amounts.map(encodeInt64)
+  ]).toString('hex');
+}
+
+function contractTransaction(destId, txId, tickNumber, timestamp, sourceId, inputType, inputHex, amount) {
+  return {
+    transaction: {
+      sourceId,
+      destId,
+      amount: String(amount),
+      tickNumber,
+      inputType,
+      inputSize: inputHex.length / 2,
+      inputHex,
+      signatureHex: '',
+      txId
+    },
+    timestamp: String(timestamp),
+    moneyFlew: true
+  };
+}
+
+// Default epochs; the first tick of the first one issues the mock asset and creates its pool
+const MOCK_EPOCHS = [
+  { epoch: 150, initialTick: 20000000, tickCount: 3000 },
+  { epoch: 151, initialTick: 20010000, tickCount: 3000 },
+  { epoch: 152, initialTick: 20020000, tickCount: 3000 }
+];
+
+// Build the default fixture set: a few consecutive epochs with ticks, transactions,
+// and the asset records queried by QubicRpcClient
+function createDefaultFixtures(options = {}) {
+  const {
+    epochs = MOCK_EPOCHS,
+    startTimestamp = Date.UTC(2025, 0, 1),
+    tickDurationMs = 1000,
+    emptyTickEvery = 7,        // Every Nth tick of an epoch is empty
+    transactionTickEvery = 5,  // Every Nth tick of an epoch carries a transaction
+    qxOrderTickEvery = 25,     // Every Nth tick of an epoch also carries a QX order (bids and asks alternating)
+    qswapTickEvery = 30        // Every Nth tick of an epoch also carries a Qswap call (see QSWAP_CALLS)
+  } = options;
+
+  const fixtures = {
+    epochs: [],
+    ticks: {},
+    transactions: {},
+    eventLogs: {},
+    issuances: [],
+    ownerships: {},
+    latestStats: null,
+    richList: []
+  };
+
+  let timestamp = startTimestamp;
+  let eventIdCounter = 0;
+
+  for (const { epoch, initialTick, tickCount } of epochs) {
+    fixtures.epochs.push({ epoch, initialTick, finalTick: initialTick + tickCount - 1 });
+
+    for (let offset = 0; offset < tickCount; offset++) {
+      const tickNumber = initialTick + offset;
+      const isEmpty = offset > 0 && offset % emptyTickEvery === 0;
+
+      fixtures.ticks[tickNumber] = {
+        tickNumber,
+        epoch,
+        timestamp: String(timestamp),
+        isEmpty
+      };
+
+      // Transactions of the tick and the events each produced, as served by the archiver
+      const txEvents = [];
+      const addTransaction = (entry, events) => {
+        fixtures.transactions[tickNumber] = fixtures.transactions[tickNumber] || [];
+        fixtures.transactions[tickNumber].push(entry);
+        txEvents.push({
+          txId: entry.transaction.txId,
+          events: events.map(([eventType, data]) => ({
+            header: { epoch, tick: tickNumber, eventId: eventIdCounter++ },
+            eventType,
+            eventSize: data.length,
+            eventData: data.toString('base64')
+          }))
+        });
+      };
+
+      if (!isEmpty && offset % transactionTickEvery === 0) {
+        addTransaction(
+          {
+            transaction: {
+              sourceId: MOCK_SOURCE_ID,
+              destId: MOCK_DEST_ID,
+              amount: '1000',
+              tickNumber,
+              inputType: 0,
+              inputSize: 0,
+              inputHex: '',
+              signatureHex: '',
+              txId: `mocktx${tickNumber}`
+            },
+            timestamp: String(timestamp),
+            moneyFlew: true
+          },
+          [quTransferEvent(MOCK_SOURCE_ID, MOCK_DEST_ID, 1000)]
+        );
+      }
+
+      // The first tick issues the asset and creates its Qswap pool; later ticks trade it on QX and Qswap
+      const isFirstTick = tickNumber === epochs[0].initialTick;
+
+      if (isFirstTick) {
+        addTransaction(contractTransaction(
+          QX_ADDRESS, `mockqx${tickNumber}`, tickNumber, timestamp, MOCK_ISSUER_ID, 1,
+          encodeQxIssueAsset(MOCK_QX_ASSET_NAME, 1000000, MOCK_QX_ASSET_DECIMALS), 1000000000
+        ), [
+          quTransferEvent(MOCK_ISSUER_ID, QX_ADDRESS, 1000000000),
+          assetIssuanceEvent(MOCK_ISSUER_ID, MOCK_QX_ASSET_NAME, 1000000, MOCK_QX_ASSET_DECIMALS)
+        ]);
+        addTransaction(contractTransaction(
+          QSWAP_ADDRESS, `mockqswap${tickNumber}`, tickNumber, timestamp, MOCK_ISSUER_ID, 3,
+          encodeQswapInput(MOCK_ISSUER_ID, MOCK_QX_ASSET_NAME), 1000000
+        ), [quTransferEvent(MOCK_ISSUER_ID, QSWAP_ADDRESS, 1000000)]);
+      } else if (!isEmpty) {
+        if (offset % qxOrderTickEvery === 0) {
+          const k = offset / qxOrderTickEvery;
+          const isBid = k % 2 === 1;
+          const price = 100 + (offset % 50);
+          const numberOfShares = 10;
+          // Every fourth bid never executes: its QU is not moved and it logs nothing
+          const executed = !(isBid && k % 8 === 7);
+          const order = contractTransaction(
+            QX_ADDRESS, `mockqx${tickNumber}`, tickNumber, timestamp, MOCK_TRADER_ID, isBid ? 6 : 5,
+            encodeQxOrder(MOCK_ISSUER_ID, MOCK_QX_ASSET_NAME, price, numberOfShares),
+            isBid ? price * numberOfShares : 0
+          );
+          order.moneyFlew = executed;
+          addTransaction(order, executed ? qxOrderEvents(k, isBid, price) : []);
+        }
+        if (offset % qswapTickEvery === 0) {
+          // Liquidity is added first, right after the pool's creation
+          const call = offset / qswapTickEvery + QSWAP_CALLS.length - 1;
+          const [inputType, amount, inputAmounts, flows] = QSWAP_CALLS[call % QSWAP_CALLS.length];
+          // Every other exact-QU swap fails and is refunded
+          const failed = inputType === 6 && Math.floor(call / QSWAP_CALLS.length) % 2 === 0;
+          addTransaction(contractTransaction(
+            QSWAP_ADDRESS, `mockqswap${tickNumber}`, tickNumber, timestamp, MOCK_TRADER_ID, inputType,
+            encodeQswapInput(MOCK_ISSUER_ID, MOCK_QX_ASSET_NAME, ...inputAmounts), amount
+          ), qswapFlowEvents(failed ? QSWAP_FAILED_SWAP_FLOWS : flows));
+        }
+      }
+
+      if (txEvents.length > 0) {
+        fixtures.eventLogs[tickNumber] = { tick: tickNumber, txEvents };
+      }
+
+      timestamp += tickDurationMs;
+    }
+  }
+
+  fixtures.issuances.push({
+    data: {
+      issuerIdentity: MOCK_ISSUER_ID,
+      type: 1,
+      name: MOCK_QX_ASSET_NAME,
+      numberOfDecimalPlaces: MOCK_QX_ASSET_DECIMALS,
+      unitOfMeasurement: [0, 0, 0, 0, 0, 0, 0]
+    },
+    info: { tick: epochs[0].initialTick, universeIndex: 0 }
+  });
+
+  // The whole issued supply split between the issuer, the two traders and the Qswap pool; the
+  // trader holds shares under both QX and Qswap management, and one record is left empty
+  const mockAssetId = `${MOCK_ISSUER_ID}.${MOCK_QX_ASSET_NAME}`;
+  fixtures.ownerships[mockAssetId] = [
+    [MOCK_ISSUER_ID, '600000', 1], [MOCK_TRADER_ID, '250000', 1], [MOCK_COUNTERPARTY_ID, '60000', 1],
+    [MOCK_TRADER_ID, '50000', 13], [QSWAP_ADDRESS, '40000', 13], [MOCK_SOURCE_ID, '0', 1]
+  ].map(([ownerIdentity, numberOfUnits, managingContractIndex], i) => ({
+    data: { ownerIdentity, type: 2, managingContractIndex, issuanceIndex: 0, numberOfUnits },
+    info: { tick: epochs[0].initialTick, universeIndex: i + 1 }
+  }));
+
+  fixtures.latestStats = {
+    timestamp: String(Math.floor(startTimestamp / 1000)),
+    circulatingSupply: '119000000000000',
+    activeAddresses: 500000,
+    burnedQus: '1000000000000',
+    epoch: epochs[epochs.length - 1].epoch
+  };
+
+  // QU balances of the mock identities, largest first like the live RPC's rich list
+  fixtures.richList = [
+    [MOCK_SOURCE_ID, '50000000000'], [MOCK_ISSUER_ID, '9000000000'], [QX_ADDRESS, '2500000000'],
+    [MOCK_TRADER_ID, '1000000000'], [QSWAP_ADDRESS, '400000000'], [MOCK_COUNTERPARTY_ID, '250000000'],
+    [MOCK_DEST_ID, '1000000']
+  ].map(([identity, balance]) => ({ identity, balance }));
+
+  return fixtures;
+}
+
+// Load a fixture set from a JSON file, filling anything missing from the defaults
+function loadFixtures(filePath) {
+  const defaults = createDefaultFixtures();
+  if (!filePath) return defaults;
+
+  const custom = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { ...defaults, ...custom };
+}
+
+module.exports = {
+  MOCK_SOURCE_ID,
+  MOCK_DEST_ID,
+  MOCK_ISSUER_ID,
+  MOCK_TRADER_ID,
+  MOCK_COUNTERPARTY_ID,
+  MOCK_QX_ASSET_NAME,
+  MOCK_QX_ASSET_DECIMALS,
+  MOCK_EPOCHS,
+  createDefaultFixtures,
+  loadFixtures
+};
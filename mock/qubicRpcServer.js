@@ -0,0 +1,297 @@
+/**
+ * Mock Qubic RPC server
+ *
+ * Local stand-in for rpc.qubic.org implementing the endpoints QubicRpcClient calls,
+ * so the adapter can be exercised end to end without network access.
+ *
+ * Run standalone with: node mock/qubicRpcServer.js
+ * (MOCK_RPC_PORT selects the port, MOCK_RPC_FIXTURES points to a JSON fixture file)
+ *
+ * Failures can be injected programmatically via injectFailure() or over HTTP:
+ *   POST /__mock/failures  { "path": "/v2/ticks", "status": 500, "times": 3 }
+ *   DELETE /__mock/failures
+ */
+const express = require('express');
+const { loadFixtures } = require('./fixtures');
+
+// Build a v2-style pagination block for a list of records
+function paginate(records, page, pageSize) {
+  const currentPage = Math.max(0, parseInt(page, 10) || 0);
+  const size = Math.max(1, parseInt(pageSize, 10) || 100);
+  const totalRecords = records.length;
+  const totalPages = Math.ceil(totalRecords / size);
+  const start = currentPage * size;
+
+  return {
+    items: records.slice(start, start + size),
+    pagination: {
+      totalRecords,
+      currentPage,
+      totalPages,
+      pageSize: size,
+      nextPage: currentPage + 1 < totalPages ? currentPage + 1 : -1,
+      previousPage: currentPage > 0 ? currentPage - 1 : -1
+    }
+  };
+}
+
+function notFound(res) {
+  return res.status(404).json({ code: 5, message: 'Not Found', details: [] });
+}
+
+class MockRpcServer {
+  constructor(options = {}) {
+    this.fixtures = options.fixtures || loadFixtures(options.fixturesPath);
+    this.failures = [];
+    this.requests = [];
+    this.server = null;
+    this.app = this._createApp();
+  }
+
+  // ========== Control Methods ==========
+
+  // Inject a failure for requests whose path starts with (or matches) `path`
+  // Options: status, times (default unlimited), delayMs, retryAfter, body, drop
+  injectFailure(rule) {
+    this.failures.push({ times: Infinity, status: 500, ...rule });
+  }
+
+  clearFailures() {
+    this.failures = [];
+  }
+
+  // Replace or extend the fixture data being served
+  setFixtures(fixtures) {
+    this.fixtures = { ...this.fixtures, ...fixtures };
+  }
+
+  // Count recorded requests, optionally only those matching a path prefix
+  getRequestCount(pathPrefix = '') {
+    return this.requests.filter(r => r.path.startsWith(pathPrefix)).length;
+  }
+
+  resetRequests() {
+    this.requests = [];
+  }
+
+  // Start listening; resolves with the base URL
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => {
+        resolve(`http://localhost:${this.server.address().port}`);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  // ========== Internals ==========
+
+  _matchFailure(path) {
+    return this.failures.find(rule => {
+      if (rule.times <= 0) return false;
+      if (rule.path instanceof RegExp) return rule.path.test(path);
+      return path.startsWith(rule.path || '');
+    });
+  }
+
+  _createApp() {
+    const app = express();
+    app.use(express.json());
+
+    // Mock control routes - registered before request logging and failure injection
+    app.post('/__mock/failures', (req, res) => {
+      this.injectFailure(req.body || {});
+      res.json({ failures: this.failures.length });
+    });
+    app.delete('/__mock/failures', (req, res) => {
+      this.clearFailures();
+      res.json({ failures: 0 });
+    });
+    app.get('/__mock/requests', (req, res) => {
+      res.json({ requests: this.requests });
+    });
+
+    // Request log and injected failures
+    app.use((req, res, next) => {
+      this.requests.push({ method: req.method, path: req.path, query: req.query });
+
+      const rule = this._matchFailure(req.path);
+      if (!rule) return next();
+      rule.times--;
+
+      setTimeout(() => {
+        if (rule.drop) {
+          return req.socket.destroy();
+        }
+        if (rule.retryAfter !== undefined) {
+          res.set('Retry-After', String(rule.retryAfter));
+        }
+        if (!rule.status) return next();
+        res.status(rule.status).json(rule.body || { code: rule.status, message: 'Injected failure' });
+      }, rule.delayMs || 0);
+    });
+
+    this._registerStatusRoutes(app);
+    this._registerTickRoutes(app);
+    this._registerAssetRoutes(app);
+    this._registerHealthRoutes(app);
+
+    app.use((req, res) => notFound(res));
+
+    return app;
+  }
+
+  _latestTickNumber() {
+    const { epochs } = this.fixtures;
+    return epochs[epochs.length - 1].finalTick;
+  }
+
+  _registerStatusRoutes(app) {
+    app.get('/v1/status', (req, res) => {
+      const { epochs } = this.fixtures;
+      const current = epochs[epochs.length - 1];
+      const lastProcessedTicksPerEpoch = {};
+      for (const e of epochs) {
+        lastProcessedTicksPerEpoch[e.epoch] = e.finalTick;
+      }
+
+      res.json({
+        lastProcessedTick: { tickNumber: current.finalTick, epoch: current.epoch },
+        lastProcessedTicksPerEpoch,
+        skippedTicks: [],
+        processedTickIntervalsPerEpoch: epochs.map(e => ({
+          epoch: e.epoch,
+          intervals: [{ initialProcessedTick: e.initialTick, lastProcessedTick: e.finalTick }]
+        })),
+        emptyTicksPerEpoch: {}
+      });
+    });
+
+    app.get('/v1/latest-stats', (req, res) => {
+      if (!this.fixtures.latestStats) return notFound(res);
+      res.json({ data: this.fixtures.latestStats });
+    });
+
+    app.get('/v1/latestTick', (req, res) => {
+      res.json({ latestTick: this._latestTickNumber() });
+    });
+
+  }
+
+  _registerTickRoutes(app) {
+    app.get('/v2/epochs/:epoch/ticks', (req, res) => {
+      const epoch = parseInt(req.params.epoch, 10);
+      const range = this.fixtures.epochs.find(e => e.epoch === epoch);
+      if (!range) return notFound(res);
+
+      const ticks = [];
+      for (let tickNumber = range.initialTick; tickNumber <= range.finalTick; tickNumber++) {
+        const tick = this.fixtures.ticks[tickNumber];
+        if (tick) ticks.push({ tickNumber, isEmpty: tick.isEmpty });
+      }
+      if (req.query.desc === 'true') ticks.reverse();
+
+      const { items, pagination } = paginate(ticks, req.query.page, req.query.pageSize);
+      res.json({ pagination, ticks: items });
+    });
+
+    app.get('/v2/ticks/:tick', (req, res) => {
+      const tick = this.fixtures.ticks[req.params.tick];
+      if (!tick) return notFound(res);
+
+      res.json({
+        tickNumber: tick.tickNumber,
+        epoch: tick.epoch,
+        timestamp: tick.timestamp,
+        isEmpty: tick.isEmpty,
+        transactionIds: (this.fixtures.transactions[tick.tickNumber] || []).map(t => t.transaction.txId)
+      });
+    });
+
+    app.get('/v2/ticks/:tick/transactions', (req, res) => {
+      const tickNumber = parseInt(req.params.tick, 10);
+      if (!this.fixtures.ticks[tickNumber] || tickNumber > this._latestTickNumber()) {
+        return notFound(res);
+      }
+
+      const transactions = this.fixtures.transactions[tickNumber] || [];
+      const { items, pagination } = paginate(transactions, req.query.page, req.query.pageSize || 1024);
+      res.json({ pagination, transactions: items });
+    });
+
+    // Archiver event logs of a tick, grouped by transaction
+    app.get('/v1/ticks/:tick/events', (req, res) => {
+      const tickNumber = parseInt(req.params.tick, 10);
+      if (!this.fixtures.ticks[tickNumber] || tickNumber > this._latestTickNumber()) {
+        return notFound(res);
+      }
+
+      res.json(this.fixtures.eventLogs[tickNumber] || { tick: tickNumber, txEvents: [] });
+    });
+  }
+
+  _registerAssetRoutes(app) {
+    // Live RPC issuance query; registered before the id routes it would otherwise match
+    app.get('/v1/assets/issuances', (req, res) => {
+      const { issuerIdentity, assetName } = req.query;
+      const assets = this.fixtures.issuances.filter(asset =>
+        (!issuerIdentity || asset.data.issuerIdentity === issuerIdentity) &&
+        (!assetName || asset.data.name === assetName)
+      );
+      res.json({ assets });
+    });
+
+    // Live RPC ownership query, answered for one asset at a time
+    app.get('/v1/assets/ownerships', (req, res) => {
+      const { issuerIdentity, assetName } = req.query;
+      res.json({ assets: this.fixtures.ownerships[`${issuerIdentity}.${assetName}`] || [] });
+    });
+
+    // Live RPC rich list of QU balances, paginated from page 1
+    app.get('/v1/rich-list', (req, res) => {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const pageSize = Math.max(1, parseInt(req.query.pageSize, 10) || 10);
+      const entities = this.fixtures.richList.slice((page - 1) * pageSize, page * pageSize);
+      res.json({
+        pagination: {
+          totalRecords: this.fixtures.richList.length,
+          currentPage: page,
+          totalPages: Math.ceil(this.fixtures.richList.length / pageSize)
+        },
+        epoch: this.fixtures.latestStats ? this.fixtures.latestStats.epoch : null,
+        richList: { entities }
+      });
+    });
+
+  }
+
+  _registerHealthRoutes(app) {
+    app.get('/v1/healthcheck', (req, res) => {
+      res.json({ status: true });
+    });
+
+    // Also served on the v2 shape, so the client's route probing has a fallback to find
+    app.get(['/v1/health', '/v2/health'], (req, res) => {
+      res.json({ status: true });
+    });
+  }
+}
+
+module.exports = MockRpcServer;
+
+// Allow running the mock server standalone
+if (require.main === module) {
+  const mockServer = new MockRpcServer({ fixturesPath: process.env.MOCK_RPC_FIXTURES });
+  mockServer.start(process.env.MOCK_RPC_PORT || 8080).then(url => {
+    console.log(`Mock Qubic RPC server running at ${url}`);
+    console.log(`Point the adapter at it with QUBIC_RPC_URL=${url}`);
+  });
+}
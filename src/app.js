@@ -66,6 +66,9 @@ app.get('/health', healthController.getHealth);
 app.get('/health/rpc', healthController.getMainRpcHealth);
 app.get('/health/api', healthController.getTransfersApiHealth);
 
+// Operator routes (not required by DEXTools spec)
+app.get('/asset/supply', assetController.getAssetSupply);
+
 // Default route (404)
 app.use((req, res) => {
   res.status(404).json({
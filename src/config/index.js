@@ -1,9 +1,97 @@
 require('dotenv').config();
+const path = require('path');
+
+// Parse a comma-separated list of URLs, ignoring blanks
+const parseUrlList = (value) => (value || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+// Parse a JSON object from the environment, falling back to an empty object
+const parseJsonObject = (name) => {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`${name} must be a JSON object: ${error.message}`);
+  }
+};
+
+const rpcUrl = process.env.QUBIC_RPC_URL || 'https://rpc.qubic.org';
+const rpcUrls = parseUrlList(process.env.QUBIC_RPC_URLS);
+const archiverUrls = parseUrlList(process.env.QUBIC_ARCHIVER_URLS);
 
 module.exports = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
   qubic: {
-    rpcUrl: process.env.QUBIC_RPC_URL || 'https://rpc.qubic.org',
+    rpcUrl,
+    // Live RPC base URLs, tried in order of health
+    rpcUrls: rpcUrls.length > 0 ? rpcUrls : [rpcUrl],
+    // Archiver base URLs (ticks, epochs, status); default to the RPC list
+    archiverUrls: archiverUrls.length > 0 ? archiverUrls : (rpcUrls.length > 0 ? rpcUrls : [rpcUrl]),
+    // Consecutive failures before an endpoint is ejected, and for how long
+    ejectAfterFailures: parseInt(process.env.QUBIC_RPC_EJECT_AFTER_FAILURES, 10) || 3,
+    ejectCooldownMs: parseInt(process.env.QUBIC_RPC_EJECT_COOLDOWN_MS, 10) || 30000,
+  },
+  routes: {
+    // Pinned route shapes per resource type, e.g. {"asset":"/v1/assets/{id}"}
+    pins: parseJsonObject('QUBIC_ROUTE_PINS'),
+    // Consecutive failures of a remembered route before candidates are probed again
+    reprobeAfterFailures: parseInt(process.env.QUBIC_ROUTE_REPROBE_AFTER_FAILURES, 10) || 5,
+  },
+  cache: {
+    // Estimated memory budget for cached ticks, epochs and transactions
+    maxBytes: (parseInt(process.env.CACHE_MAX_MB, 10) || 256) * 1024 * 1024,
+    // TTL for finalized data (ticks behind the safety buffer, past epochs)
+    finalizedTtlMs: parseInt(process.env.CACHE_FINALIZED_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    // TTL for mutable data (status, latest ticks, current epoch)
+    mutableTtlMs: parseInt(process.env.CACHE_MUTABLE_TTL_MS, 10) || 30000,
+  },
+  store: {
+    // SQLite file for finalized ticks and transactions (':memory:' disables persistence)
+    path: process.env.STORE_PATH || 'data/qubic-adapter.db',
+  },
+  events: {
+    // Transaction lists fetched in parallel per /events request
+    fetchConcurrency: parseInt(process.env.EVENTS_FETCH_CONCURRENCY, 10) || 8,
+    // Time budget for fetching a request's transactions; ticks not fetched in time are reported
+    requestBudgetMs: parseInt(process.env.EVENTS_REQUEST_BUDGET_MS, 10) || 25000,
+  },
+  exchanges: {
+    // Registered exchange contracts: name, logo, aliases and decoder
+    path: process.env.EXCHANGES_PATH || path.join(__dirname, '../../config/exchanges.json'),
+  },
+  supply: {
+    // Per-asset rules for the holders left out of circulating supply
+    exclusionsPath: process.env.SUPPLY_EXCLUSIONS_PATH || path.join(__dirname, '../../config/supply-exclusions.json'),
+  },
+  reserves: {
+    // First tick replayed for pool reserves (e.g. the tick Qswap was deployed); defaults to the oldest indexed epoch
+    startTick: parseInt(process.env.RESERVES_START_TICK, 10) || null,
+    // Blocks behind the checkpoint an /events request replays itself; further ones are left to the catch-up
+    maxRequestReplayTicks: parseInt(process.env.RESERVES_MAX_REQUEST_REPLAY_TICKS, 10) || 1000,
+    // Pause between background catch-up passes
+    catchUpIntervalMs: parseInt(process.env.RESERVES_CATCH_UP_INTERVAL_MS, 10) || 10000,
+  },
+  resilience: {
+    // Retries allowed per endpoint class after the first attempt
+    retryBudgets: {
+      ticks: 3,
+      transactions: 3,
+      status: 2,
+      assets: 1,
+      pairs: 1,
+      exchanges: 1,
+      health: 0,
+      other: 1
+    },
+    baseDelayMs: parseInt(process.env.QUBIC_RETRY_BASE_DELAY_MS, 10) || 250,
+    maxDelayMs: parseInt(process.env.QUBIC_RETRY_MAX_DELAY_MS, 10) || 5000,
+    // Upper bound for honoring an upstream Retry-After header
+    maxRetryAfterMs: parseInt(process.env.QUBIC_RETRY_AFTER_MAX_MS, 10) || 30000,
+    // Consecutive failed calls before an upstream's circuit opens, and for how long
+    breakerFailureThreshold: parseInt(process.env.QUBIC_BREAKER_FAILURE_THRESHOLD, 10) || 10,
+    breakerResetMs: parseInt(process.env.QUBIC_BREAKER_RESET_MS, 10) || 30000,
   }
-}; 
\ No newline at end of file
+};
\ No newline at end of file
@@ -1,8 +1,31 @@
 const qubicRpcClient = require('../services/qubicRpcClient');
 const dataTransformer = require('../services/dataTransformer');
+const { parseAssetId } = require('../services/assetId');
+
+// 400 response for an id that is not a canonical asset id, or null if it is one
+function invalidAssetIdResponse(id) {
+  try {
+    parseAssetId(id);
+    return null;
+  } catch (error) {
+    return {
+      code: '400',
+      message: 'Invalid parameters',
+      issues: [
+        {
+          param: 'id',
+          code: 'invalid',
+          message: error.message
+        }
+      ]
+    };
+  }
+}
 
 /**
- * Asset controller handles /asset and /asset/holders endpoints
+ * Asset controller handles /asset, /asset/holders and /asset/supply endpoints
+ * Assets are addressed by their canonical id: `QU` for the native coin,
+ * `<issuer>.<name>` for issued assets (see services/assetId)
  */
 class AssetController {
   /**
@@ -27,6 +50,11 @@ class AssetController {
         });
       }
       
+      const invalidId = invalidAssetIdResponse(id);
+      if (invalidId) {
+        return res.status(400).json(invalidId);
+      }
+      
       const asset = await qubicRpcClient.getAssetById(id);
       
       // Handle not found
@@ -70,6 +98,11 @@ class AssetController {
         });
       }
       
+      const invalidId = invalidAssetIdResponse(id);
+      if (invalidId) {
+        return res.status(400).json(invalidId);
+      }
+      
       // Validate page and pageSize
       const pageNum = parseInt(page, 10);
       const pageSizeNum = parseInt(pageSize, 10);
@@ -102,7 +135,7 @@ class AssetController {
         });
       }
       
-      // Fetch asset details to verify it exists and get total holders count
+      // Fetch asset details to verify it exists and get its decimal places
       const asset = await qubicRpcClient.getAssetById(id);
       
       // Handle not found
@@ -113,14 +146,15 @@ class AssetController {
         });
       }
       
-      // Fetch holders data
+      // Issued assets are aggregated from ownership records and paginated by the client; QU comes from the rich list
       const holdersData = await qubicRpcClient.getAssetHolders(id, pageNum, pageSizeNum);
       
       // Transform data
       const transformedHolders = dataTransformer.transformAssetHolders(
         id, 
         holdersData.holders,
-        holdersData.totalCount || asset.holdersCount || 0
+        holdersData.totalCount,
+        asset.decimals
       );
       
       return res.json(transformedHolders);
@@ -132,6 +166,53 @@ class AssetController {
       });
     }
   }
+
+  /**
+   * Get how an asset's circulating supply is computed (operator endpoint, not part of the DEXTools spec)
+   */
+  async getAssetSupply(req, res) {
+    try {
+      const { id } = req.query;
+      
+      // Validate id param
+      if (!id) {
+        return res.status(400).json({
+          code: '400',
+          message: 'Missing parameter',
+          issues: [
+            {
+              param: 'id',
+              code: 'required',
+              message: 'Id parameter is required'
+            }
+          ]
+        });
+      }
+      
+      const invalidId = invalidAssetIdResponse(id);
+      if (invalidId) {
+        return res.status(400).json(invalidId);
+      }
+      
+      const supply = await qubicRpcClient.getAssetSupply(id);
+      
+      // Handle not found
+      if (!supply) {
+        return res.status(404).json({
+          code: '404',
+          message: 'Asset not found.'
+        });
+      }
+      
+      return res.json({ supply: dataTransformer.transformAssetSupply(supply) });
+    } catch (error) {
+      console.error('Error getting asset supply:', error);
+      return res.status(500).json({
+        code: '500',
+        message: 'Server was not able to return a response. Try later'
+      });
+    }
+  }
 }
 
 module.exports = new AssetController(); 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const qubicRpcClient = require('../services/qubicRpcClient');
 const dataTransformer = require('../services/dataTransformer');
+const headTracker = require('../services/headTracker');
 
 /**
  * Block controller handles /latest-block and /block endpoints
@@ -20,69 +21,17 @@ class BlockController {
    */
   async getLatestBlock(req, res) {
     try {
-      console.log(`Processing /latest-block request - prioritizing fast response`);
-      
-      // Get the most recent valid tick with our safety buffer applied
-      // The safety buffer ensures we never return a block that's too recent
-      // where events might not be processed yet (crucial for DEXTools spec)
-      const latestValidTick = await qubicRpcClient.getLatestTick();
-      
-      if (!latestValidTick || !latestValidTick.tickNumber) {
-        console.error('No valid tick found for latest block');
+      // The head only advances, and only to ticks whose events /events can serve in full
+      const head = await headTracker.getHead();
+      if (!head) {
+        console.error('No tick with complete events has been confirmed for latest block');
         return res.status(500).json({
           code: '500',
           message: 'Server was not able to return a response. Try later'
         });
       }
       
-      // Check if this tick has transactions/events available
-      // This is CRITICAL to meet the spec requirement that all events must be available
-      try {
-        // Only fetch minimal info to check if the API endpoint for this tick is accessible
-        // We don't need to process all transactions, just verify the endpoint works
-        const checkResponse = await qubicRpcClient.client.get(`/v2/ticks/${latestValidTick.tickNumber}/transactions`, {
-          params: { page: 0, pageSize: 1 }
-        });
-        
-        // If we get here, the endpoint is accessible - don't need to do anything with the response
-        console.log(`Verified transaction data availability for tick ${latestValidTick.tickNumber}`);
-      } catch (error) {
-        // If we can't access transaction data for this tick, it's not safe to return it as the latest block
-        console.error(`Cannot get transaction data for tick ${latestValidTick.tickNumber}, finding earlier tick: ${error.message}`);
-        
-        // Get a different tick that's definitely fully processed
-        const saferTicks = await qubicRpcClient.getRecentValidTicks(5);
-        
-        // Find the first tick that has accessible transaction data
-        for (const tick of saferTicks) {
-          try {
-            // Again, just check API accessibility with minimal data
-            await qubicRpcClient.client.get(`/v2/ticks/${tick.tickNumber}/transactions`, {
-              params: { page: 0, pageSize: 1 }
-            });
-            
-            console.log(`Found alternative safe tick ${tick.tickNumber} with accessible transaction data`);
-            // Use this tick instead since we verified transaction data is available
-            return res.json({ block: dataTransformer.transformTickToBlock(tick) });
-          } catch (innerError) {
-            console.warn(`Tick ${tick.tickNumber} also has inaccessible transaction data, trying next`);
-            continue;
-          }
-        }
-        
-        // If we get here, we couldn't find any tick with accessible transaction data
-        return res.status(500).json({
-          code: '500',
-          message: 'Server was not able to return a response. Try later'
-        });
-      }
-      
-      console.log(`Using tick ${latestValidTick.tickNumber} as latest block - verified data availability`);
-      
-      // Transform the tick to a block
-      const block = dataTransformer.transformTickToBlock(latestValidTick);
-      
-      return res.json({ block });
+      return res.json({ block: dataTransformer.transformTickToBlock(head) });
     } catch (error) {
       console.error('Error getting latest block:', error);
       return res.status(500).json({
@@ -133,30 +82,8 @@ class BlockController {
           });
         }
         
-        // Try to get the exact tick first
+        // Exact tick only: an empty or unknown tick is a definitive 404, never a neighbour
         tick = await qubicRpcClient.getTickByNumber(blockNumber);
-        
-        // If the tick is empty, try to find a nearby valid tick
-        if (tick.isEmpty) {
-          console.log(`Requested tick ${blockNumber} is empty, searching for nearby valid tick`);
-          
-          // Search for valid ticks in a small range around the requested block
-          const searchRange = 5;
-          const startBlock = Math.max(0, blockNumber - searchRange);
-          const endBlock = blockNumber + searchRange;
-          
-          const nearbyTicks = await qubicRpcClient.getTicksInBlockRange(startBlock, endBlock, 10);
-          
-          if (nearbyTicks && nearbyTicks.length > 0) {
-            // Find the closest tick to the requested block
-            nearbyTicks.sort((a, b) => 
-              Math.abs(a.tickNumber - blockNumber) - Math.abs(b.tickNumber - blockNumber)
-            );
-            
-            tick = nearbyTicks[0];
-            console.log(`Found nearby valid tick ${tick.tickNumber} instead of ${blockNumber}`);
-          }
-        }
       } else {
         const blockTimestamp = parseInt(timestamp, 10);
         if (isNaN(blockTimestamp) || blockTimestamp < 0) {
@@ -173,7 +100,7 @@ class BlockController {
           });
         }
         
-        // Get tick by timestamp (this already handles finding valid ticks)
+        // Newest tick at or before the timestamp; null before the first indexed epoch
         tick = await qubicRpcClient.getTickByTimestamp(blockTimestamp);
       }
       
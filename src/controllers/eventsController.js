@@ -1,5 +1,13 @@
 const qubicRpcClient = require('../services/qubicRpcClient');
 const dataTransformer = require('../services/dataTransformer');
+const reservesEngine = require('../services/reservesEngine');
+const pairRegistry = require('../services/pairRegistry');
+const ConcurrencyLimiter = require('../services/concurrencyLimiter');
+const { loadTickData } = require('../services/tickDataLoader');
+const config = require('../config');
+
+// Bounds the parallel transaction fetches within each /events request
+const transactionFetcher = new ConcurrencyLimiter(config.events.fetchConcurrency);
 
 /**
  * Events controller handles fetching events within a specific block range
@@ -83,11 +91,14 @@ class EventsController {
         });
       }
       
+      const startedAt = Date.now();
+      const remainingBudgetMs = () => config.events.requestBudgetMs - (Date.now() - startedAt);
       console.log(`Requested block range: ${fromBlockInt}-${toBlockInt} (${requestedRange} blocks)`);
       console.log(`Getting ticks in range ${fromBlockInt}-${toBlockInt}...`);
       
       // Get ticks in the block range using our optimized method
-      const ticks = await qubicRpcClient.getTicksInBlockRange(fromBlockInt, toBlockInt, 1000);
+      const MAX_TICKS_PER_REQUEST = 1000;
+      const ticks = await qubicRpcClient.getTicksInBlockRange(fromBlockInt, toBlockInt, MAX_TICKS_PER_REQUEST);
       console.log(`Found ${ticks.length} ticks in the requested range`);
       
       // If no ticks were found, return an empty events array - don't fall back to inefficient methods
@@ -95,34 +106,109 @@ class EventsController {
         return res.json({ events: [] });
       }
       
-      // Extract events from all ticks
+      // Fetch transaction lists in parallel; empty ticks carry no transactions
+      const ticksWithData = ticks.filter(tick => !tick.isEmpty);
+      console.log(`Fetching transactions for ${ticksWithData.length} of ${ticks.length} ticks (concurrency ${config.events.fetchConcurrency})...`);
+      const fetchResults = await transactionFetcher.map(
+        ticksWithData,
+        loadTickData,
+        { budgetMs: remainingBudgetMs() }
+      );
+      
+      // A response missing some ticks' events would make DEXTools lose them for good
+      const unfetchedTicks = ticksWithData
+        .map((tick, index) => ({ tick, result: fetchResults[index] }))
+        .filter(({ result }) => result.status === 'rejected');
+      
+      if (unfetchedTicks.length > 0) {
+        console.error(`Could not fetch transactions for ${unfetchedTicks.length} ticks in range ${fromBlockInt}-${toBlockInt}`);
+        return res.status(500).json({
+          code: '500',
+          message: 'Server was not able to return a response. Try later',
+          issues: unfetchedTicks.map(({ tick, result }) => ({
+            param: 'fromBlock/toBlock',
+            code: 'unavailable',
+            message: `Transactions or event logs for block ${tick.tickNumber} could not be fetched: ${result.reason.message}`
+          }))
+        });
+      }
+      
+      // Reserves of every pool right before the range, needed only if the range calls Qswap; replays the
+      // blocks since the last checkpoint, unless the background catch-up is still far behind the range
+      let reservesReplay = null;
+      if (fetchResults.some(({ value }) => reservesEngine.callsQswap(value.transactions))) {
+        try {
+          reservesReplay = await reservesEngine.openReplay(fromBlockInt, {
+            budgetMs: remainingBudgetMs(),
+            maxReplayTicks: config.reserves.maxRequestReplayTicks
+          });
+        } catch (error) {
+          console.error(`Could not rebuild pool reserves before block ${fromBlockInt}: ${error.message}`);
+          return res.status(500).json({
+            code: '500',
+            message: 'Server was not able to return a response. Try later',
+            issues: [
+              {
+                param: 'fromBlock',
+                code: 'unavailable',
+                message: `Pool reserves before block ${fromBlockInt} could not be rebuilt: ${error.message}`
+              }
+            ]
+          });
+        }
+      }
+      
+      // Extract events from all ticks, in tick order
       const allEvents = [];
+      const untransformedTicks = [];
       
-      console.log(`Processing ${ticks.length} ticks to extract events...`);
-      for (const tick of ticks) {
+      for (let i = 0; i < ticksWithData.length; i++) {
+        const { tick, transactions, eventLogs, assetDecimals } = fetchResults[i].value;
+        
         try {
-          // Get transactions for this tick
-          const transactions = await qubicRpcClient.getTransactionsForTick(tick.tickNumber);
-          console.log(`Found ${transactions.length} transactions in tick ${tick.tickNumber}`);
+          const reservesByTransaction = reservesReplay
+            ? reservesEngine.applyTick(reservesReplay, tick.tickNumber, transactions, eventLogs)
+            : {};
           
           // Extract events from transactions
           if (transactions && transactions.length > 0) {
             const eventsFromTick = await dataTransformer.transformTransactionsToEvents(
               transactions,
-              tick
+              tick,
+              { eventLogs, reservesByTransaction, assetDecimals }
             );
             
             if (eventsFromTick && eventsFromTick.length > 0) {
               console.log(`Found ${eventsFromTick.length} events in tick ${tick.tickNumber}`);
+              pairRegistry.recordEvents(eventsFromTick);
               allEvents.push(...eventsFromTick);
             }
           }
         } catch (error) {
           console.error(`Error processing tick ${tick.tickNumber}:`, error.message);
-          // Continue to next tick even if we encounter an error
+          untransformedTicks.push({ tick, error });
         }
       }
       
+      // Like unfetched ticks: events that can't be identified are not silently dropped
+      if (untransformedTicks.length > 0) {
+        return res.status(500).json({
+          code: '500',
+          message: 'Server was not able to return a response. Try later',
+          issues: untransformedTicks.map(({ tick, error }) => ({
+            param: 'fromBlock/toBlock',
+            code: 'invalid_upstream_data',
+            message: `Events of block ${tick.tickNumber} could not be built: ${error.message}`
+          }))
+        });
+      }
+      
+      // Every tick up to here has been replayed; keeps the next request from replaying it again
+      if (reservesReplay) {
+        const replayedThrough = ticks.length >= MAX_TICKS_PER_REQUEST ? ticks[ticks.length - 1].tickNumber : toBlockInt;
+        reservesEngine.commit(reservesReplay, replayedThrough);
+      }
+      
       // Sort events by block number and then by event index
       allEvents.sort((a, b) => {
         if (a.block.blockNumber !== b.block.blockNumber) {
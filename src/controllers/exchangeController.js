@@ -1,8 +1,9 @@
-const qubicRpcClient = require('../services/qubicRpcClient');
+const exchangeRegistry = require('../services/exchangeRegistry');
 const dataTransformer = require('../services/dataTransformer');
 
 /**
  * Exchange controller handles /exchange endpoint
+ * Exchanges are the registered DEX contracts, addressed by contract identity or alias
  */
 class ExchangeController {
   /**
@@ -27,7 +28,7 @@ class ExchangeController {
         });
       }
       
-      const exchange = await qubicRpcClient.getExchangeById(id);
+      const exchange = exchangeRegistry.getExchange(id);
       
       // Handle not found
       if (!exchange) {
@@ -1,4 +1,7 @@
 const qubicRpcClient = require('../services/qubicRpcClient');
+const reservesEngine = require('../services/reservesEngine');
+const transactionClassifier = require('../services/transactionClassifier');
+const headTracker = require('../services/headTracker');
 
 /**
  * Health controller handles /health endpoint
@@ -9,7 +12,12 @@ class HealthController {
    */
   async getHealth(req, res) {
     try {
-      const healthStatus = await qubicRpcClient.getFullHealthStatus();
+      const healthStatus = {
+        ...await qubicRpcClient.getFullHealthStatus(),
+        reserves: reservesEngine.getStats(),
+        transactions: transactionClassifier.getStats(),
+        latestBlock: headTracker.getStats()
+      };
       
       // If all services are healthy
       if (healthStatus.status) {
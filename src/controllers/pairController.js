@@ -1,8 +1,9 @@
-const qubicRpcClient = require('../services/qubicRpcClient');
+const pairRegistry = require('../services/pairRegistry');
 const dataTransformer = require('../services/dataTransformer');
 
 /**
  * Pair controller handles /pair endpoint
+ * Pairs are served from the pair registry, which learns them from their creation events
  */
 class PairController {
   /**
@@ -27,7 +28,7 @@ class PairController {
         });
       }
       
-      const pair = await qubicRpcClient.getPairById(id);
+      const pair = await pairRegistry.getPair(id);
       
       // Handle not found
       if (!pair) {
@@ -1,14 +1,19 @@
 const app = require('./app');
 const config = require('./config');
+const reservesEngine = require('./services/reservesEngine');
 
 // Start server
 const server = app.listen(config.port, () => {
   console.log(`DEXTools Adapter for Qubic running on port ${config.port} in ${config.nodeEnv} mode`);
 });
 
+// Pool reserves are rebuilt off the request path
+reservesEngine.startCatchUp(config.reserves.catchUpIntervalMs);
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down');
+  reservesEngine.stopCatchUp();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -17,6 +22,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down');
+  reservesEngine.stopCatchUp();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -0,0 +1,43 @@
+/**
+ * Exact decimal formatting of on-chain amounts
+ *
+ * Qubic amounts are integers counted in an asset's smallest unit. QU has no decimal
+ * places; an asset's issuance fixes its `numberOfDecimalPlaces`. Amounts stay BigInt
+ * end to end and are rendered by shifting the decimal point in the digit string, so
+ * supplies beyond 2^53 keep every digit.
+ */
+
+const QU_DECIMALS = 0;
+
+// Integer amount as a BigInt; accepts BigInt, integer strings and safe integers
+function toUnits(amount) {
+  if (amount === undefined || amount === null || amount === '') return 0n;
+  if (typeof amount === 'bigint') return amount;
+  if (typeof amount === 'number' && Number.isSafeInteger(amount)) return BigInt(amount);
+  if (typeof amount === 'string' && /^-?\d+$/.test(amount.trim())) return BigInt(amount.trim());
+
+  throw new Error(`Amount ${amount} is not an integer number of units`);
+}
+
+// Decimal string of an amount of smallest units, trailing zeros trimmed down to one fractional digit
+// as the DEXTools spec requires (`^\d+(?:\.\d+)$`), e.g. formatAmount(123450n, 2) === '1234.5',
+// formatAmount('7', 0) === '7.0'
+function formatAmount(amount, decimals = QU_DECIMALS) {
+  if (!Number.isInteger(decimals) || decimals < 0) {
+    throw new Error(`Invalid number of decimal places: ${decimals}`);
+  }
+
+  const units = toUnits(amount);
+  const digits = (units < 0n ? -units : units).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '') || '0';
+  const sign = units < 0n ? '-' : '';
+
+  return `${sign}${whole}.${fraction}`;
+}
+
+module.exports = {
+  QU_DECIMALS,
+  toUnits,
+  formatAmount
+};
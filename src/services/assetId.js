@@ -0,0 +1,47 @@
+const { isValidIdentity } = require('./qubicIdentity');
+
+/**
+ * Canonical asset ids
+ *
+ * A Qubic asset is identified by its issuer identity and a name of up to 7
+ * characters: an uppercase letter followed by uppercase letters or digits. Its id is
+ * `<ISSUER>.<NAME>`; the native coin has the id `QU`. Asset ids are also the
+ * building blocks of pair ids.
+ */
+
+const QU_ASSET_ID = 'QU';
+const ASSET_NAME_PATTERN = /^[A-Z][A-Z0-9]{0,6}$/;
+
+function formatAssetId(asset) {
+  return `${asset.issuer}.${asset.name}`;
+}
+
+/**
+ * Parse an asset id into { native: true } for QU or { native: false, issuer, name }
+ * Throws with a message naming the problem if the id is malformed.
+ */
+function parseAssetId(id) {
+  if (id === QU_ASSET_ID) return { native: true };
+
+  const separator = typeof id === 'string' ? id.indexOf('.') : -1;
+  if (separator === -1) {
+    throw new Error(`Asset id must be ${QU_ASSET_ID} or <issuer>.<name>, got ${id}`);
+  }
+
+  const issuer = id.slice(0, separator);
+  const name = id.slice(separator + 1);
+  if (!isValidIdentity(issuer)) {
+    throw new Error(`Issuer ${issuer} is not a valid Qubic identity`);
+  }
+  if (!ASSET_NAME_PATTERN.test(name)) {
+    throw new Error(`Asset name ${name} must be 1 to 7 uppercase letters or digits, starting with a letter`);
+  }
+
+  return { native: false, issuer, name };
+}
+
+module.exports = {
+  QU_ASSET_ID,
+  formatAssetId,
+  parseAssetId
+};
@@ -0,0 +1,185 @@
+/**
+ * Bounded, TTL-aware in-memory cache
+ *
+ * Entries live under namespaced keys (`tick:123`, `tickPage:152:0`, ...) and are evicted
+ * least-recently-used first once the estimated memory use exceeds the budget.
+ * Each entry is either finalized (data that can no longer change, kept for the long
+ * finalized TTL) or mutable (status, latest ticks, kept for the short mutable TTL).
+ * Hit/miss/eviction counters are kept per namespace.
+ */
+
+// Number of array elements sampled when estimating the size of large arrays
+const SIZE_SAMPLE_COUNT = 20;
+
+// Rough in-memory cost of one serialized character (UTF-16 plus object overhead)
+const BYTES_PER_CHAR = 2;
+
+class CacheStore {
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes || 256 * 1024 * 1024;
+    this.finalizedTtlMs = options.finalizedTtlMs || 24 * 60 * 60 * 1000;
+    this.mutableTtlMs = options.mutableTtlMs || 30000;
+
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.stats = {};
+  }
+
+  // Get a live entry's value, or undefined on a miss
+  get(key) {
+    const entry = this.entries.get(key);
+    const stats = this._getStats(key);
+
+    if (!entry) {
+      stats.misses++;
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this._remove(key, entry);
+      stats.expirations++;
+      stats.misses++;
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    stats.hits++;
+    return entry.value;
+  }
+
+  // Live entry's value without counting a lookup or changing its recency, e.g. for reporting
+  peek(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : undefined;
+  }
+
+  // Store a value; `finalized` selects the TTL unless `ttlMs` is given
+  set(key, value, options = {}) {
+    const ttlMs = options.ttlMs || (options.finalized ? this.finalizedTtlMs : this.mutableTtlMs);
+    const sizeBytes = this._estimateSize(value);
+
+    if (sizeBytes > this.maxBytes) {
+      console.warn(`Not caching ${key}: estimated ${sizeBytes} bytes exceeds the cache budget`);
+      return;
+    }
+
+    const existing = this.entries.get(key);
+    if (existing) {
+      this._remove(key, existing);
+    }
+
+    this.entries.set(key, {
+      value,
+      sizeBytes,
+      finalized: Boolean(options.finalized),
+      expiresAt: Date.now() + ttlMs
+    });
+    this.totalBytes += sizeBytes;
+    this._getStats(key).sets++;
+
+    this._evict();
+  }
+
+  // ========== Invalidation ==========
+
+  invalidate(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this._remove(key, entry);
+      this._getStats(key).invalidations++;
+    }
+  }
+
+  // Invalidate every key starting with `prefix`, e.g. `tick:`
+  invalidatePrefix(prefix) {
+    for (const [key, entry] of this.entries) {
+      if (key.startsWith(prefix)) {
+        this._remove(key, entry);
+        this._getStats(key).invalidations++;
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+  }
+
+  // Live keys starting with `prefix`, most recently used first
+  keys(prefix = '') {
+    const now = Date.now();
+    const keys = [];
+    for (const [key, entry] of this.entries) {
+      if (key.startsWith(prefix) && entry.expiresAt > now) {
+        keys.push(key);
+      }
+    }
+    return keys.reverse();
+  }
+
+  getStats() {
+    const namespaces = {};
+    for (const [namespace, stats] of Object.entries(this.stats)) {
+      const lookups = stats.hits + stats.misses;
+      namespaces[namespace] = {
+        ...stats,
+        hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : 0
+      };
+    }
+
+    return {
+      entries: this.entries.size,
+      estimatedBytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      namespaces
+    };
+  }
+
+  // ========== Internals ==========
+
+  _remove(key, entry) {
+    this.entries.delete(key);
+    this.totalBytes -= entry.sizeBytes;
+  }
+
+  // Drop least recently used entries until the budget is met
+  _evict() {
+    for (const [key, entry] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this._remove(key, entry);
+      this._getStats(key).evictions++;
+    }
+  }
+
+  _getStats(key) {
+    const separator = key.indexOf(':');
+    const namespace = separator === -1 ? key : key.substring(0, separator);
+
+    if (!this.stats[namespace]) {
+      this.stats[namespace] = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, invalidations: 0 };
+    }
+    return this.stats[namespace];
+  }
+
+  // Estimate the memory used by a value from its serialized length,
+  // sampling large arrays instead of serializing them whole
+  _estimateSize(value) {
+    if (value === undefined || value === null) return 8;
+
+    if (Array.isArray(value) && value.length > SIZE_SAMPLE_COUNT) {
+      const step = Math.floor(value.length / SIZE_SAMPLE_COUNT);
+      let sampleChars = 0;
+      for (let i = 0; i < SIZE_SAMPLE_COUNT; i++) {
+        sampleChars += JSON.stringify(value[i * step] ?? null).length;
+      }
+      return Math.ceil(sampleChars / SIZE_SAMPLE_COUNT * value.length * BYTES_PER_CHAR);
+    }
+
+    return (JSON.stringify(value) || '').length * BYTES_PER_CHAR;
+  }
+}
+
+module.exports = CacheStore;
@@ -0,0 +1,66 @@
+/**
+ * Concurrency-limited mapping over a list of items
+ *
+ * Runs an async worker over every item with at most `concurrency` calls in flight,
+ * within an optional time budget. Results come back in input order, one outcome per
+ * item, so callers can tell exactly which items failed or were never attempted
+ * instead of losing them in a log line.
+ */
+class ConcurrencyLimiter {
+  constructor(concurrency) {
+    this.concurrency = Math.max(1, concurrency || 1);
+  }
+
+  /**
+   * Map `worker` over `items`
+   * Resolves with [{ status: 'fulfilled', value } | { status: 'rejected', reason }] in input order.
+   * Items not finished within `budgetMs` are rejected with a budget error; nothing is started after it.
+   */
+  async map(items, worker, { budgetMs = Infinity } = {}) {
+    const results = new Array(items.length);
+    const deadline = Date.now() + budgetMs;
+    let nextIndex = 0;
+
+    const budgetError = () => new Error(`Request budget of ${budgetMs}ms exhausted`);
+
+    const runNext = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+          results[index] = { status: 'rejected', reason: budgetError() };
+          continue;
+        }
+
+        try {
+          const value = await this._withinBudget(worker(items[index], index), remainingMs, budgetError);
+          results[index] = { status: 'fulfilled', value };
+        } catch (reason) {
+          results[index] = { status: 'rejected', reason };
+        }
+      }
+    };
+
+    const runners = [];
+    for (let i = 0; i < Math.min(this.concurrency, items.length); i++) {
+      runners.push(runNext());
+    }
+    await Promise.all(runners);
+
+    return results;
+  }
+
+  // Reject once the remaining budget runs out; the underlying call is left to settle on its own
+  _withinBudget(promise, remainingMs, budgetError) {
+    if (remainingMs === Infinity) return promise;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(budgetError()), remainingMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = ConcurrencyLimiter;
@@ -0,0 +1,34 @@
+const fs = require('fs');
+
+/**
+ * JSON configuration files
+ *
+ * Settings that are lists rather than single values (exchanges, supply exclusions)
+ * live in JSON files read once when the adapter starts. A file that can't be read or
+ * parsed, or that fails validation, stops the adapter with an error naming the file
+ * and the offending entry.
+ */
+
+/**
+ * Read a JSON object from a file and validate it
+ * `validate(content, fail)` returns the loaded value; `fail(message)` throws naming
+ * the file, which `label` describes in errors (e.g. 'Exchanges file').
+ */
+function loadJsonConfig(filePath, label, validate) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${label} ${filePath} could not be read: ${error.message}`);
+  }
+
+  const fail = (message) => {
+    throw new Error(`${label} ${filePath}: ${message}`);
+  };
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    fail('must contain a JSON object');
+  }
+  return validate(content, fail);
+}
+
+module.exports = { loadJsonConfig };
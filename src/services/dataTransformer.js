@@ -1,86 +1,133 @@
+const exchangeRegistry = require('./exchangeRegistry');
+const transactionClassifier = require('./transactionClassifier');
+const fillResolver = require('./fillResolver');
+const { QU_DECIMALS, formatAmount } = require('./amountFormatter');
+const { QU_ASSET_ID, formatAssetId } = require('./assetId');
+
+// eventIndex = txnIndex * MAX_EVENTS_PER_TRANSACTION + position of the event in its transaction
+const MAX_EVENTS_PER_TRANSACTION = 10000;
+
+// Event amount fields by pair side; every pair has the asset as asset0 and QU as asset1
+const ASSET0_AMOUNT_FIELDS = ['amount0', 'asset0In', 'asset0Out'];
+const ASSET1_AMOUNT_FIELDS = ['amount1', 'asset1In', 'asset1Out'];
+
 /**
  * Transform Qubic data to DEXTools format
  */
 class DataTransformer {
   // Transform a Qubic tick to a DEXTools block
+  // Throws for a tick without number or timestamp rather than fabricating either
   transformTickToBlock(tick) {
-    if (!tick) {
-      return {
-        blockNumber: 0,
-        blockTimestamp: Math.floor(Date.now() / 1000)
-      };
+    if (!tick || !tick.tickNumber || !tick.timestamp) {
+      throw new Error('A block needs a tick with a number and a timestamp');
     }
     
     return {
-      blockNumber: tick.tickNumber || tick.number || 0, 
-      blockTimestamp: Math.floor((tick.timestamp || Date.now()) / 1000) // Convert milliseconds to seconds
+      blockNumber: tick.tickNumber,
+      blockTimestamp: Math.floor(tick.timestamp / 1000) // Convert milliseconds to seconds
     };
   }
 
-  // Transform a Qubic asset to a DEXTools asset
+  // Transform a Qubic asset (see QubicRpcClient.getAssetById) to a DEXTools asset
   transformAssetToAsset(asset) {
     return {
       id: asset.id,
-      name: asset.name || `Asset ${asset.id.substring(0, 8)}`,
-      symbol: asset.symbol || asset.id.substring(0, 4).toUpperCase(),
-      totalSupply: (asset.totalSupply || "0").toString(),
-      circulatingSupply: (asset.circulatingSupply || "0").toString(),
-      holdersCount: asset.holdersCount || 0
+      name: asset.name,
+      symbol: asset.symbol,
+      totalSupply: formatAmount(asset.totalSupply, asset.decimals),
+      circulatingSupply: formatAmount(asset.circulatingSupply, asset.decimals),
+      holdersCount: asset.holdersCount
     };
   }
 
   // Transform Qubic asset holders to DEXTools asset holders
-  transformAssetHolders(assetId, holders, totalCount) {
+  // Quantities are integer units of the asset, formatted with its decimal places
+  transformAssetHolders(assetId, holders, totalCount, decimals = 0) {
     return {
       id: assetId,
       totalHoldersCount: totalCount,
       holders: holders.map(holder => ({
         address: holder.address,
-        quantity: holder.quantity
+        quantity: formatAmount(holder.quantity, decimals)
       }))
     };
   }
 
-  // Transform a Qubic exchange to a DEXTools exchange
-  transformExchangeToExchange(exchange) {
+  // Supply breakdown of an asset (see QubicRpcClient.getAssetSupply), amounts formatted with its decimal places
+  transformAssetSupply(supply) {
     return {
+      id: supply.id,
+      totalSupply: formatAmount(supply.totalSupply, supply.decimals),
+      circulatingSupply: formatAmount(supply.circulatingSupply, supply.decimals),
+      excluded: supply.excluded.map(entry => ({
+        address: entry.address,
+        quantity: formatAmount(entry.quantity, supply.decimals),
+        reason: entry.reason
+      })),
+      rules: supply.rules
+    };
+  }
+
+  // Transform a registered exchange (see exchangeRegistry) to a DEXTools exchange; the logo is optional
+  transformExchangeToExchange(exchange) {
+    const transformed = {
       factoryAddress: exchange.factoryAddress,
-      name: exchange.name || `Qubic DEX`,
-      logoURL: exchange.logoURL || "https://qubic.org/logo.png"
+      name: exchange.name
     };
+    if (exchange.logoURL) transformed.logoURL = exchange.logoURL;
+    return transformed;
   }
 
-  // Transform a Qubic pair to a DEXTools pair
+  // Transform a registered pair (see pairRegistry) to a DEXTools pair; the creation is optional
   transformPairToPair(pair) {
-    return {
+    const transformed = {
       id: pair.id,
-      asset0Id: pair.token0,
-      asset1Id: pair.token1,
-      createdAtBlockNumber: pair.createdAtTickNumber || 0,
-      createdAtBlockTimestamp: Math.floor((pair.createdAtTimestamp || Date.now()) / 1000),
-      createdAtTxnId: pair.createdAtTxId || "0x0",
-      factoryAddress: pair.factoryAddress || "qubic-factory",
-      feeBps: this._calculateFeeBps(pair.fee)
+      asset0Id: pair.asset0Id,
+      asset1Id: pair.asset1Id
     };
+    if (pair.createdAtTickNumber !== null) {
+      transformed.createdAtBlockNumber = pair.createdAtTickNumber;
+      transformed.createdAtBlockTimestamp = pair.createdAtTimestamp;
+      transformed.createdAtTxnId = pair.createdAtTxId;
+    }
+    transformed.factoryAddress = pair.factoryAddress;
+    transformed.feeBps = pair.feeBps;
+    return transformed;
   }
 
-  // Calculate fee in basis points
-  _calculateFeeBps(fee) {
-    if (!fee) return 30; // Default to 0.3%
-    if (fee <= 1) return Math.round(fee * 10000); // If decimal (e.g. 0.003), convert to basis points
-    return fee; // If already in basis points
+  // Whether any transaction is an executed exchange call (see transactionClassifier), i.e. the tick's event logs are needed
+  hasContractTransactions(transactions) {
+    return Array.isArray(transactions) && transactions.some(entry =>
+      transactionClassifier.classify(transactionClassifier.unwrap(entry)) === transactionClassifier.classes.EXCHANGE
+    );
   }
 
-  // Format amount to string with required decimal format
-  _formatAmount(amount) {
-    if (amount === undefined || amount === null) return '0.0';
-    if (typeof amount === 'string') return amount;
-    if (typeof amount === 'number') return amount.toFixed(6);
-    return '0.0';
+  // Assets the executed exchange calls of a tick refer to ({ issuer, name }), without duplicates
+  tradedAssets(transactions) {
+    const assets = new Map();
+    for (const entry of Array.isArray(transactions) ? transactions : []) {
+      const transaction = transactionClassifier.unwrap(entry);
+      if (transactionClassifier.classify(transaction) !== transactionClassifier.classes.EXCHANGE) continue;
+      
+      const action = this._decodeTransaction(transaction);
+      if (action && action.asset) assets.set(formatAssetId(action.asset), action.asset);
+    }
+    return [...assets.values()];
   }
 
   // Transform Qubic transactions to DEXTools events
-  transformTransactionsToEvents(transactions, tickData) {
+  // Only executed calls to registered exchanges are kept (see transactionClassifier). They are
+  // decoded by the contract they were sent to, then settled against their event logs
+  // (`eventLogs`: `{ [txId]: [event] }`), so only what actually executed becomes an event.
+  // Pool reserves after each transaction (`reservesByTransaction`: `{ [txId]: { asset0,
+  // asset1 } }`, see reservesEngine) are stamped on its swap, join and exit events. Amounts are
+  // formatted with the asset's decimal places (`assetDecimals`: `{ [assetId]: decimals }`).
+  // Indexes only depend on the tick's data: txnIndex is the transaction's position in the tick,
+  // eventIndex combines it with the event's position in the transaction, so it is unique within
+  // the block and the same on every request. Throws for a DEX transaction without an id, one
+  // whose settlement fails (e.g. malformed event logs), or with events for an asset of unknown
+  // decimal places, so a block is never served with events missing.
+  transformTransactionsToEvents(transactions, tickData, { eventLogs = {}, reservesByTransaction = {}, assetDecimals = {} } = {}) {
     const events = [];
     
     if (!Array.isArray(transactions)) {
@@ -88,108 +135,149 @@ class DataTransformer {
       return [];
     }
     
-    for (const txn of transactions) {
-      try {
-        // Skip transactions without type
-        if (!txn.type) continue;
-        
-        // Create the base event object
-        const baseEvent = {
-          block: this.transformTickToBlock(tickData),
-          txnId: txn.id || txn.txId || `0x${Math.random().toString(36).substring(7)}`,
-          txnIndex: txn.index || 0,
-          eventIndex: txn.eventIndex || 0,
-          maker: txn.sender || txn.from || "unknown",
-          pairId: txn.pairId || "unknown",
-          eventType: this._mapEventType(txn.type)
-        };
-
-        // Skip events we can't map to DEXTools event types
-        if (!baseEvent.eventType) continue;
-
-        // Add event-specific fields based on the event type
-        switch (txn.type) {
-          case 'PAIR_CREATED':
-          case 'PAIR_CREATE':
-          case 'CREATE_PAIR':
-            events.push({
-              ...baseEvent,
-              eventType: 'creation'
-            });
-            break;
-            
-          case 'SWAP':
-          case 'EXCHANGE':
-            events.push({
-              ...baseEvent,
-              eventType: 'swap',
-              asset0In: this._formatAmount(txn.amount0In),
-              asset1Out: this._formatAmount(txn.amount1Out),
-              asset0Out: this._formatAmount(txn.amount0Out),
-              asset1In: this._formatAmount(txn.amount1In),
-              reserves: {
-                asset0: this._formatAmount(txn.reserves?.token0 || txn.reserves?.asset0),
-                asset1: this._formatAmount(txn.reserves?.token1 || txn.reserves?.asset1)
-              }
-            });
-            break;
-            
-          case 'ADD_LIQUIDITY':
-          case 'JOIN_POOL':
-          case 'PROVIDE_LIQUIDITY':
-            events.push({
-              ...baseEvent,
-              eventType: 'join',
-              amount0: this._formatAmount(txn.amount0),
-              amount1: this._formatAmount(txn.amount1),
-              reserves: {
-                asset0: this._formatAmount(txn.reserves?.token0 || txn.reserves?.asset0),
-                asset1: this._formatAmount(txn.reserves?.token1 || txn.reserves?.asset1)
-              }
-            });
-            break;
-            
-          case 'REMOVE_LIQUIDITY':
-          case 'EXIT_POOL':
-          case 'WITHDRAW_LIQUIDITY':
-            events.push({
-              ...baseEvent,
-              eventType: 'exit',
-              amount0: this._formatAmount(txn.amount0),
-              amount1: this._formatAmount(txn.amount1),
-              reserves: {
-                asset0: this._formatAmount(txn.reserves?.token0 || txn.reserves?.asset0),
-                asset1: this._formatAmount(txn.reserves?.token1 || txn.reserves?.asset1)
-              }
-            });
-            break;
-        }
-      } catch (error) {
-        console.error('Error transforming transaction to event:', error);
-        // Continue with next transaction
+    for (const { txnIndex, transaction } of transactionClassifier.filter(transactions)) {
+      const action = this._decodeTransaction(transaction);
+      if (!action) continue;
+      
+      // DEXTools deduplicates events on their transaction id, so one is never made up
+      if (!action.txId) {
+        throw new Error(`Transaction ${txnIndex} of block ${tickData && tickData.tickNumber} has no id`);
+      }
+      
+      // A transaction without events had no effect; one that can't be settled fails the block
+      const transactionEvents = this._actionToEvents(action, eventLogs[action.txId] || []);
+      if (transactionEvents.length === 0) continue;
+      
+      if (transactionEvents.length > MAX_EVENTS_PER_TRANSACTION) {
+        throw new Error(`Transaction ${action.txId} has ${transactionEvents.length} events, more than the ${MAX_EVENTS_PER_TRANSACTION} indexable`);
       }
+      // Creations carry no amounts
+      const decimals = assetDecimals[formatAssetId(action.asset)];
+      const hasAmounts = transactionEvents.some(event => event.eventType !== 'creation');
+      if (hasAmounts && (decimals === undefined || decimals === null)) {
+        throw new Error(`Decimal places of asset ${formatAssetId(action.asset)} traded in ${action.txId} are unknown`);
+      }
+      
+      const baseEvent = {
+        block: this.transformTickToBlock(tickData),
+        txnId: action.txId,
+        txnIndex,
+        maker: action.source,
+        pairId: this._pairId(action)
+      };
+      const reserves = reservesByTransaction[action.txId];
+      
+      transactionEvents.forEach((event, position) => {
+        const stamped = reserves && event.eventType !== 'creation' ? { ...event, reserves } : event;
+        events.push({
+          ...baseEvent,
+          eventIndex: txnIndex * MAX_EVENTS_PER_TRANSACTION + position,
+          ...this._formatEventAmounts(stamped, decimals)
+        });
+      });
     }
     
     return events;
   }
 
-  // Map Qubic event types to DEXTools event types
-  _mapEventType(qubicEventType) {
-    const eventTypeMap = {
-      'PAIR_CREATED': 'creation',
-      'PAIR_CREATE': 'creation',
-      'CREATE_PAIR': 'creation',
-      'SWAP': 'swap',
-      'EXCHANGE': 'swap',
-      'ADD_LIQUIDITY': 'join',
-      'JOIN_POOL': 'join',
-      'PROVIDE_LIQUIDITY': 'join',
-      'REMOVE_LIQUIDITY': 'exit',
-      'EXIT_POOL': 'exit',
-      'WITHDRAW_LIQUIDITY': 'exit'
-    };
+  // Decode with the decoder of the exchange the transaction was sent to
+  // Malformed inputs are logged and treated as not decodable
+  _decodeTransaction(transaction) {
+    const exchange = exchangeRegistry.getByAddress(transaction.destId);
+    if (!exchange) return null;
     
-    return eventTypeMap[qubicEventType] || null;
+    try {
+      return exchangeRegistry.getDecoder(exchange).decode(transaction);
+    } catch (error) {
+      console.error(`Error decoding transaction ${transaction.txId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Event-specific fields of the DEXTools events a settled action produced, in integer units
+  // Every pair has the asset as asset0 and QU as asset1
+  _actionToEvents(action, logs) {
+    switch (`${action.contract}:${action.type}`) {
+      // Issuing an asset makes it tradeable against QU on QX
+      case 'QX:issueAsset':
+        return fillResolver.qxIssuanceSucceeded(action, logs) ? [{ eventType: 'creation' }] : [];
+      
+      case 'QSWAP:createPool':
+        return fillResolver.qswapPoolCreated(action, logs) ? [{ eventType: 'creation' }] : [];
+      
+      // One swap per matched order: a bid buys shares with QU, an ask sells them
+      case 'QX:addBidOrder':
+      case 'QX:addAskOrder': {
+        const isBuy = action.type === 'addBidOrder';
+        return fillResolver.qxOrderFills(action, logs)
+          .map(fill => this._swapFields(isBuy, fill.assetAmount, fill.quAmount));
+      }
+      
+      case 'QSWAP:swap': {
+        const { quIn, assetIn } = fillResolver.qswapNetFlows(action, logs);
+        const assetMoved = BigInt(assetIn);
+        if (assetMoved === 0n) return [];
+        
+        const isBuy = assetMoved < 0n;
+        return [this._swapFields(isBuy, this._abs(assetIn), this._abs(quIn))];
+      }
+      
+      case 'QSWAP:addLiquidity': {
+        const { quIn, assetIn } = fillResolver.qswapNetFlows(action, logs);
+        if (BigInt(assetIn) <= 0n) return [];
+        
+        return [{ eventType: 'join', amount0: assetIn, amount1: quIn }];
+      }
+      
+      case 'QSWAP:removeLiquidity': {
+        const { quIn, assetIn } = fillResolver.qswapNetFlows(action, logs);
+        if (BigInt(assetIn) >= 0n) return [];
+        
+        return [{ eventType: 'exit', amount0: this._abs(assetIn), amount1: this._abs(quIn) }];
+      }
+      
+      default:
+        return [];
+    }
+  }
+
+  // Swap of `assetAmount` of the asset against `quAmount` QU; `isBuy` when QU goes in
+  _swapFields(isBuy, assetAmount, quAmount) {
+    return {
+      eventType: 'swap',
+      asset0In: isBuy ? '0' : assetAmount,
+      asset1Out: isBuy ? '0' : quAmount,
+      asset0Out: isBuy ? assetAmount : '0',
+      asset1In: isBuy ? quAmount : '0'
+    };
+  }
+
+  // Decimal strings for an event's amounts and reserves: asset0 with the asset's decimal places, asset1 (QU) with none
+  _formatEventAmounts(event, assetDecimals) {
+    const formatted = { ...event };
+    for (const field of ASSET0_AMOUNT_FIELDS) {
+      if (field in event) formatted[field] = formatAmount(event[field], assetDecimals);
+    }
+    for (const field of ASSET1_AMOUNT_FIELDS) {
+      if (field in event) formatted[field] = formatAmount(event[field], QU_DECIMALS);
+    }
+    if (event.reserves) {
+      formatted.reserves = {
+        asset0: formatAmount(event.reserves.asset0, assetDecimals),
+        asset1: formatAmount(event.reserves.asset1, QU_DECIMALS)
+      };
+    }
+    return formatted;
+  }
+
+  _abs(amount) {
+    const value = BigInt(amount);
+    return (value < 0n ? -value : value).toString();
+  }
+
+  // QX and Qswap trade every asset against QU
+  _pairId(action) {
+    return `${action.contract}:${formatAssetId(action.asset)}:${QU_ASSET_ID}`;
   }
 }
 
@@ -0,0 +1,165 @@
+/**
+ * Epoch index: initial and final tick of every epoch
+ *
+ * Ranges come from the archiver status (`processedTickIntervalsPerEpoch`), which
+ * lists every epoch in a single response. Past epochs are finalized once indexed
+ * and never updated again; only the current epoch's final tick moves forward, and
+ * new epochs are added as they appear. The index is persisted in the local store,
+ * so mapping a tick to its epoch is a lookup even right after a restart.
+ */
+
+// Minimum time between refreshes triggered by lookups of unknown ticks
+const MIN_REFRESH_INTERVAL_MS = 5000;
+
+class EpochIndex {
+  /**
+   * @param {Object} store - local store persisting the ranges
+   * @param {Object} sources - { fetchStatus(), fetchFirstTick(epoch) } upstream accessors
+   */
+  constructor(store, sources) {
+    this.store = store;
+    this.fetchStatus = sources.fetchStatus;
+    this.fetchFirstTick = sources.fetchFirstTick;
+    this.lastRefreshAt = 0;
+
+    // epoch -> { epoch, initialTick, finalTick, finalized }
+    this.ranges = new Map();
+    for (const range of store.getEpochRanges()) {
+      this.ranges.set(range.epoch, range);
+    }
+    if (this.ranges.size > 0) {
+      console.log(`Loaded ${this.ranges.size} indexed epochs from local store`);
+    }
+  }
+
+  // Epoch containing `tickNumber`, or null if it is not (yet) part of any known epoch
+  async findEpochForTick(tickNumber) {
+    let range = this._lookup(tickNumber);
+
+    // Ticks beyond the indexed head may belong to a new epoch or a grown current one
+    if (!range && tickNumber > this._highestIndexedTick()) {
+      await this.refresh();
+      range = this._lookup(tickNumber);
+    }
+
+    return range ? range.epoch : null;
+  }
+
+  // Ranges of the epochs overlapping [fromTick, toTick], ascending
+  async getRangesOverlapping(fromTick, toTick) {
+    if (toTick > this._highestIndexedTick()) {
+      await this.refresh();
+    }
+
+    return this.getAll().filter(range => range.initialTick <= toTick && range.finalTick >= fromTick);
+  }
+
+  getRange(epoch) {
+    return this.ranges.get(epoch) || null;
+  }
+
+  // The highest indexed epoch's range
+  getLatestEpoch() {
+    let latest = null;
+    for (const range of this.ranges.values()) {
+      if (!latest || range.epoch > latest.epoch) latest = range;
+    }
+    return latest;
+  }
+
+  getAll() {
+    return [...this.ranges.values()].sort((a, b) => a.epoch - b.epoch);
+  }
+
+  // Pull the latest ranges from the archiver status, at most once per interval
+  async refresh({ force = false } = {}) {
+    if (!force && Date.now() - this.lastRefreshAt < MIN_REFRESH_INTERVAL_MS) return;
+    this.lastRefreshAt = Date.now();
+
+    try {
+      const status = await this.fetchStatus();
+      await this.updateFromStatus(status);
+    } catch (error) {
+      console.warn(`Failed to refresh epoch index: ${error.message}`);
+    }
+  }
+
+  // Merge the ranges reported by an archiver status response
+  async updateFromStatus(status) {
+    if (!status || !status.lastProcessedTick) return;
+
+    const currentEpoch = status.lastProcessedTick.epoch;
+    const intervalsPerEpoch = status.processedTickIntervalsPerEpoch || [];
+
+    for (const { epoch, intervals } of intervalsPerEpoch) {
+      if (!intervals || intervals.length === 0) continue;
+
+      this._upsert({
+        epoch,
+        initialTick: Math.min(...intervals.map(i => i.initialProcessedTick)),
+        finalTick: Math.max(...intervals.map(i => i.lastProcessedTick)),
+        finalized: epoch < currentEpoch
+      });
+    }
+
+    // Without interval data, at least track the current epoch's head
+    if (!this.ranges.has(currentEpoch) || !this.ranges.get(currentEpoch).finalized) {
+      const known = this.ranges.get(currentEpoch);
+      const initialTick = known ? known.initialTick : await this.fetchFirstTick(currentEpoch);
+      if (initialTick) {
+        this._upsert({
+          epoch: currentEpoch,
+          initialTick,
+          finalTick: Math.max(status.lastProcessedTick.tickNumber, known ? known.finalTick : 0),
+          finalized: false
+        });
+      }
+    }
+
+    // Epochs older than the current one can no longer grow
+    for (const range of this.ranges.values()) {
+      if (range.epoch < currentEpoch && !range.finalized) {
+        this._upsert({ ...range, finalized: true });
+      }
+    }
+  }
+
+  // ========== Internals ==========
+
+  _lookup(tickNumber) {
+    for (const range of this.ranges.values()) {
+      if (tickNumber >= range.initialTick && tickNumber <= range.finalTick) {
+        return range;
+      }
+    }
+    return null;
+  }
+
+  _highestIndexedTick() {
+    let highest = 0;
+    for (const range of this.ranges.values()) {
+      highest = Math.max(highest, range.finalTick);
+    }
+    return highest;
+  }
+
+  // Insert or update a range; finalized ranges are never changed
+  _upsert(range) {
+    const existing = this.ranges.get(range.epoch);
+    if (existing && existing.finalized) return;
+    if (existing &&
+        existing.initialTick === range.initialTick &&
+        existing.finalTick === range.finalTick &&
+        existing.finalized === range.finalized) {
+      return;
+    }
+
+    if (!existing) {
+      console.log(`Indexed epoch ${range.epoch}: ticks ${range.initialTick}-${range.finalTick}`);
+    }
+    this.ranges.set(range.epoch, range);
+    this.store.putEpochRange(range);
+  }
+}
+
+module.exports = EpochIndex;
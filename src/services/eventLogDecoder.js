@@ -0,0 +1,131 @@
+const InputReader = require('./inputReader');
+
+/**
+ * Decoder for archiver event logs
+ *
+ * The archiver lists the events a tick produced grouped by transaction:
+ * `{ txEvents: [{ txId, events: [{ header, eventType, eventSize, eventData }] }] }`,
+ * with `eventData` base64-encoded. Only the event types needed to follow trades are
+ * decoded; others are kept with their type so the order of events is preserved.
+ */
+
+const EVENT_TYPES = {
+  QU_TRANSFER: 0,
+  ASSET_ISSUANCE: 1,
+  ASSET_OWNERSHIP_CHANGE: 2,
+  ASSET_POSSESSION_CHANGE: 3,
+  CONTRACT_ERROR_MESSAGE: 4,
+  CONTRACT_WARNING_MESSAGE: 5,
+  CONTRACT_INFORMATION_MESSAGE: 6,
+  CONTRACT_DEBUG_MESSAGE: 7,
+  BURNING: 8
+};
+
+// Newer core versions add the managing contract index to asset events
+const ASSET_ISSUANCE_SIZE_WITH_MANAGER = 63;
+const ASSET_CHANGE_SIZE_WITH_MANAGER = 127;
+
+class EventLogDecoder {
+  constructor() {
+    this.eventTypes = EVENT_TYPES;
+  }
+
+  /**
+   * Decode a tick's event list into { [txId]: [event] }, events in emission order
+   * Events not tied to a transaction (e.g. end-of-tick contract processing) are skipped.
+   */
+  decodeTickEvents(response) {
+    const eventsByTransaction = {};
+
+    for (const txEvents of response.txEvents || []) {
+      if (!txEvents.txId) continue;
+      eventsByTransaction[txEvents.txId] = (txEvents.events || []).map(event => this.decodeEvent(event));
+    }
+
+    return eventsByTransaction;
+  }
+
+  decodeEvent(event) {
+    const eventType = Number(event.eventType);
+    const data = Buffer.from(event.eventData || '', 'base64');
+    const reader = new InputReader(data.toString('hex'));
+    const header = event.header || {};
+    const decoded = { eventType, eventId: header.eventId !== undefined ? String(header.eventId) : null };
+
+    switch (eventType) {
+      case EVENT_TYPES.QU_TRANSFER:
+        return {
+          ...decoded,
+          type: 'quTransfer',
+          source: reader.id(),
+          destination: reader.id(),
+          amount: reader.sint64().toString()
+        };
+
+      case EVENT_TYPES.ASSET_ISSUANCE: {
+        const issuer = reader.id();
+        const numberOfShares = reader.sint64().toString();
+        if (data.length >= ASSET_ISSUANCE_SIZE_WITH_MANAGER) reader.sint64();
+        return {
+          ...decoded,
+          type: 'assetIssuance',
+          asset: { issuer, name: this._readName(reader) },
+          numberOfShares,
+          numberOfDecimalPlaces: reader.sint8()
+        };
+      }
+
+      case EVENT_TYPES.ASSET_OWNERSHIP_CHANGE:
+      case EVENT_TYPES.ASSET_POSSESSION_CHANGE: {
+        const source = reader.id();
+        const destination = reader.id();
+        const issuer = reader.id();
+        const numberOfShares = reader.sint64().toString();
+        if (data.length >= ASSET_CHANGE_SIZE_WITH_MANAGER) reader.sint64();
+        return {
+          ...decoded,
+          type: eventType === EVENT_TYPES.ASSET_OWNERSHIP_CHANGE ? 'assetOwnershipChange' : 'assetPossessionChange',
+          source,
+          destination,
+          asset: { issuer, name: this._readName(reader) },
+          numberOfShares
+        };
+      }
+
+      case EVENT_TYPES.CONTRACT_ERROR_MESSAGE:
+      case EVENT_TYPES.CONTRACT_WARNING_MESSAGE:
+      case EVENT_TYPES.CONTRACT_INFORMATION_MESSAGE:
+      case EVENT_TYPES.CONTRACT_DEBUG_MESSAGE:
+        return {
+          ...decoded,
+          type: 'contractMessage',
+          level: ['error', 'warning', 'information', 'debug'][eventType - EVENT_TYPES.CONTRACT_ERROR_MESSAGE],
+          contractIndex: reader.uint32(),
+          messageHex: data.subarray(4).toString('hex')
+        };
+
+      case EVENT_TYPES.BURNING:
+        return {
+          ...decoded,
+          type: 'burning',
+          source: reader.id(),
+          amount: reader.sint64().toString()
+        };
+
+      default:
+        return { ...decoded, type: 'other' };
+    }
+  }
+
+  // Asset names in events are 7 ASCII characters, zero-padded
+  _readName(reader) {
+    let name = '';
+    for (let i = 0; i < 7; i++) {
+      const code = reader.uint8();
+      if (code !== 0) name += String.fromCharCode(code);
+    }
+    return name;
+  }
+}
+
+module.exports = new EventLogDecoder();
@@ -0,0 +1,114 @@
+const { isValidIdentity } = require('./qubicIdentity');
+const qxDecoder = require('./qxDecoder');
+const qswapDecoder = require('./qswapDecoder');
+const { loadJsonConfig } = require('./configFile');
+const config = require('../config');
+
+/**
+ * Exchange registry
+ *
+ * Qubic's exchanges are a fixed set of smart contracts, so they are listed in a JSON
+ * file (EXCHANGES_PATH) rather than looked up upstream:
+ * `{ exchanges: [{ id, aliases?, name, logoURL?, decoder }] }`. `id` is the contract
+ * identity, served as the exchange's factory address; `aliases` are alternative ids
+ * `/exchange` accepts (e.g. `QX`); `decoder` names the decoder for the contract's
+ * procedures. Only transactions to registered contracts are turned into events. The
+ * file is validated when the adapter starts.
+ *
+ * Decoders are written for one contract each (QX, Qswap), so an exchange can only be
+ * registered at the address of its decoder, and each decoder once; a new exchange
+ * needs a decoder of its own.
+ */
+
+// Decoders by the `decoder` value of an exchange; each decodes one contract's procedures
+const DECODERS = {
+  qx: qxDecoder,
+  qswap: qswapDecoder
+};
+
+class ExchangeRegistry {
+  /**
+   * @param {Array} exchanges - validated exchanges (see loadExchanges)
+   */
+  constructor(exchanges) {
+    this.exchanges = exchanges;
+    this.byId = new Map();
+    for (const exchange of exchanges) {
+      for (const id of [exchange.factoryAddress, ...exchange.aliases]) {
+        this.byId.set(id, exchange);
+      }
+    }
+  }
+
+  // Exchange by contract identity or alias: { factoryAddress, aliases, name, logoURL, decoder }, or null
+  getExchange(id) {
+    return this.byId.get(id) || null;
+  }
+
+  // Exchange of the contract at an address, or null if the address is not a registered contract
+  getByAddress(address) {
+    const exchange = this.byId.get(address);
+    return exchange && exchange.factoryAddress === address ? exchange : null;
+  }
+
+  // Exchange whose pair ids start with the contract name (e.g. `QX`), or null
+  getByContractName(contractName) {
+    return this.exchanges.find(exchange => this.getDecoder(exchange).contractName === contractName) || null;
+  }
+
+  getDecoder(exchange) {
+    return DECODERS[exchange.decoder];
+  }
+}
+
+// Read and validate an exchanges file; throws naming the offending entry
+function loadExchanges(filePath) {
+  return loadJsonConfig(filePath, 'Exchanges file', validateExchanges);
+}
+
+// Exchanges listed in an exchanges file, normalized
+function validateExchanges(content, fail) {
+  if (!Array.isArray(content.exchanges) || content.exchanges.length === 0) {
+    fail('exchanges must be a non-empty list');
+  }
+
+  const seenIds = new Set();
+  const seenDecoders = new Set();
+  return content.exchanges.map((entry, index) => {
+    const where = `exchanges[${index}]`;
+    if (!entry || typeof entry !== 'object') fail(`${where} must be an object`);
+
+    const decoder = DECODERS[entry.decoder];
+    if (!decoder) fail(`${where}.decoder must be one of ${Object.keys(DECODERS).join(', ')}`);
+    if (seenDecoders.has(entry.decoder)) fail(`${where}.decoder ${entry.decoder} is used by another exchange`);
+    seenDecoders.add(entry.decoder);
+
+    if (!isValidIdentity(entry.id)) fail(`${where}.id ${entry.id} is not a valid Qubic identity`);
+    if (entry.id !== decoder.address) {
+      fail(`${where}.id ${entry.id} is not the contract decoded by ${entry.decoder} (${decoder.address})`);
+    }
+    if (typeof entry.name !== 'string' || !entry.name.trim()) fail(`${where}.name is required`);
+    if (entry.logoURL !== undefined && !/^https?:\/\/\S+$/.test(entry.logoURL)) {
+      fail(`${where}.logoURL must be an http(s) URL`);
+    }
+
+    const aliases = entry.aliases || [];
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias)) {
+      fail(`${where}.aliases must be a list of ids`);
+    }
+    for (const id of [entry.id, ...aliases]) {
+      if (seenIds.has(id)) fail(`${where} reuses the id ${id}`);
+      seenIds.add(id);
+    }
+
+    return {
+      factoryAddress: entry.id,
+      aliases,
+      name: entry.name,
+      logoURL: entry.logoURL || null,
+      decoder: entry.decoder
+    };
+  });
+}
+
+module.exports = new ExchangeRegistry(loadExchanges(config.exchanges.path));
@@ -0,0 +1,108 @@
+const qxDecoder = require('./qxDecoder');
+const qswapDecoder = require('./qswapDecoder');
+
+/**
+ * Settles decoded contract actions against the event logs of their transaction
+ *
+ * A transaction only records what its sender asked for. What actually happened -
+ * which orders matched, how many shares and how much QU moved, whether a pool was
+ * created - is read from the events the transaction produced. All amounts are
+ * decimal strings computed with BigInt.
+ */
+class FillResolver {
+  /**
+   * Fills of a QX order placed by the transaction: [{ counterparty, assetAmount, quAmount }]
+   *
+   * Each match moves shares from the seller to the buyer (an ownership change),
+   * followed by QX paying the seller in QU net of its trade fee. `quAmount` is the
+   * trade's gross QU (price times matched shares). Orders that rest in the book
+   * produce no ownership change and therefore no fill.
+   */
+  qxOrderFills(action, logs) {
+    const isBid = action.type === 'addBidOrder';
+    const fills = [];
+    let currentFill = null;
+
+    for (const event of logs) {
+      if (event.type === 'assetOwnershipChange' && this._isAsset(event.asset, action.asset)) {
+        const takerSide = isBid ? event.destination : event.source;
+        if (takerSide !== action.source) continue;
+
+        currentFill = {
+          counterparty: isBid ? event.source : event.destination,
+          seller: event.source,
+          assetAmount: BigInt(event.numberOfShares),
+          quAmount: 0n
+        };
+        fills.push(currentFill);
+      } else if (event.type === 'quTransfer' && currentFill &&
+                 event.source === qxDecoder.address && event.destination === currentFill.seller) {
+        currentFill.quAmount += BigInt(event.amount);
+        currentFill = null;
+      }
+    }
+
+    return fills.map(fill => ({
+      counterparty: fill.counterparty,
+      assetAmount: fill.assetAmount.toString(),
+      quAmount: this._qxGrossAmount(fill.quAmount, fill.assetAmount).toString()
+    }));
+  }
+
+  // QX pays the seller price * shares less its fee, rounded down. The smallest whole
+  // price per share that leaves the seller that payout gives back the trade's QU.
+  _qxGrossAmount(sellerPayout, numberOfShares) {
+    if (numberOfShares === 0n) return sellerPayout;
+    const divisor = BigInt(10000 - qxDecoder.feeBps) * numberOfShares;
+    const price = (sellerPayout * 10000n + divisor - 1n) / divisor;
+    return price * numberOfShares;
+  }
+
+  // Whether the transaction's events contain the issuance of the action's asset
+  qxIssuanceSucceeded(action, logs) {
+    return logs.some(event => event.type === 'assetIssuance' && this._isAsset(event.asset, action.asset));
+  }
+
+  /**
+   * Net QU and asset flows from the sender into Qswap: { quIn, assetIn }
+   * Negative values flow out of the pool to the sender (swap proceeds, refunds,
+   * withdrawn liquidity). A call that failed is fully refunded and nets to zero.
+   */
+  qswapNetFlows(action, logs) {
+    let quIn = 0n;
+    let assetIn = 0n;
+
+    for (const event of logs) {
+      if (event.type === 'quTransfer') {
+        quIn += this._flowIntoContract(event, action.source, qswapDecoder.address, event.amount);
+      } else if (event.type === 'assetOwnershipChange' && this._isAsset(event.asset, action.asset)) {
+        assetIn += this._flowIntoContract(event, action.source, qswapDecoder.address, event.numberOfShares);
+      }
+    }
+
+    return { quIn: quIn.toString(), assetIn: assetIn.toString() };
+  }
+
+  // A Qswap pool exists after the call unless the contract reported an error or refunded the whole fee
+  qswapPoolCreated(action, logs) {
+    if (logs.some(event => event.type === 'contractMessage' && event.level === 'error' &&
+                           event.contractIndex === qswapDecoder.contractIndex)) {
+      return false;
+    }
+
+    const { quIn } = this.qswapNetFlows(action, logs);
+    return BigInt(action.invocationAmount) === 0n || BigInt(quIn) > 0n;
+  }
+
+  _flowIntoContract(event, sender, contractAddress, amount) {
+    if (event.source === sender && event.destination === contractAddress) return BigInt(amount);
+    if (event.source === contractAddress && event.destination === sender) return -BigInt(amount);
+    return 0n;
+  }
+
+  _isAsset(a, b) {
+    return Boolean(a && b) && a.issuer === b.issuer && a.name === b.name;
+  }
+}
+
+module.exports = new FillResolver();
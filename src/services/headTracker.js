@@ -0,0 +1,121 @@
+const qubicRpcClient = require('./qubicRpcClient');
+const localStore = require('./localStore');
+const dataTransformer = require('./dataTransformer');
+const transactionClassifier = require('./transactionClassifier');
+const reservesEngine = require('./reservesEngine');
+const config = require('../config');
+
+/**
+ * Head tracker behind /latest-block
+ *
+ * DEXTools indexes up to the block /latest-block reports, so that block must never
+ * move backwards and its events must already be complete. The head only advances:
+ * the candidate is the newest non-empty tick behind the safety buffer that the
+ * archiver has processed (see QubicRpcClient.getLatestTick), and it is accepted once
+ * every transaction the tick lists can be read, along with its event logs when it
+ * has exchange transactions (as /events reads them). /events only replays pool
+ * reserves a limited number of blocks past the reserves checkpoint, so a candidate
+ * further ahead is held back to the newest non-empty tick within that limit until the
+ * catch-up moves on (see reservesEngine). A candidate that isn't complete yet leaves
+ * the head where it is. The head is persisted in the local store, so a restart
+ * resumes from it rather than from whatever upstream reports first.
+ */
+
+// Local store key of the persisted head
+const HEAD_STATE_KEY = 'latestBlockHead';
+
+class HeadTracker {
+  /**
+   * @param {Object} store - local store persisting the head
+   * @param {Object} client - QubicRpcClient serving ticks, transactions and event logs
+   * @param {Object} reserves - ReservesEngine whose checkpoint the head may not outrun
+   * @param {Object} options - { maxReservesLagTicks }: blocks past the checkpoint /events replays itself
+   */
+  constructor(store, client, reserves, options = {}) {
+    this.store = store;
+    this.client = client;
+    this.reserves = reserves;
+    this.maxReservesLagTicks = options.maxReservesLagTicks || 0;
+    this.head = store.getState(HEAD_STATE_KEY);
+    this.advancing = null;
+  }
+
+  /**
+   * Latest block whose events are complete: { tickNumber, epoch, timestamp }
+   * Advances first if upstream moved on. Resolves with null while no tick has ever
+   * been confirmed; concurrent calls share one advance.
+   */
+  async getHead() {
+    if (!this.advancing) {
+      this.advancing = this._advance().finally(() => {
+        this.advancing = null;
+      });
+    }
+    return this.advancing;
+  }
+
+  getStats() {
+    return {
+      tickNumber: this.head ? this.head.tickNumber : null,
+      epoch: this.head ? this.head.epoch : null
+    };
+  }
+
+  async _advance() {
+    const latest = await this.client.getLatestTick();
+    if (!latest || (this.head && latest.tickNumber <= this.head.tickNumber)) {
+      return this.head;
+    }
+
+    try {
+      const candidate = await this._capAtReserves(latest);
+      if (candidate && (!this.head || candidate.tickNumber > this.head.tickNumber) && await this._isComplete(candidate)) {
+        this.head = {
+          tickNumber: candidate.tickNumber,
+          epoch: candidate.epoch,
+          timestamp: candidate.timestamp
+        };
+        this.store.putState(HEAD_STATE_KEY, this.head);
+      }
+    } catch (error) {
+      console.warn(`Could not advance the head towards tick ${latest.tickNumber}: ${error.message}`);
+    }
+    return this.head;
+  }
+
+  // The candidate, or the newest non-empty tick /events can still rebuild pool reserves for; null if there is none
+  async _capAtReserves(candidate) {
+    const limit = await this.reserves.getCheckpointTick() + this.maxReservesLagTicks;
+    if (candidate.tickNumber <= limit) return candidate;
+
+    console.log(`Holding the head at or before block ${limit} until pool reserves catch up`);
+    return this.client.findNewestTickAtOrBefore(limit);
+  }
+
+  // Whether /events can serve every event of a tick
+  async _isComplete(tick) {
+    if (!tick.timestamp) {
+      console.warn(`Tick ${tick.tickNumber} has no timestamp yet`);
+      return false;
+    }
+
+    const transactionIds = await this.client.getTickTransactionIds(tick.tickNumber);
+    const transactions = await this.client.getTransactionsForTick(tick.tickNumber);
+    const readIds = new Set(transactions.map(entry => transactionClassifier.unwrap(entry).txId));
+    const missing = transactionIds.filter(txId => !readIds.has(txId));
+    if (missing.length > 0) {
+      console.warn(`Tick ${tick.tickNumber} lists ${missing.length} transactions that can't be read yet`);
+      return false;
+    }
+
+    // Exchange transactions are settled against the tick's event logs; reading them throws until they are available
+    if (dataTransformer.hasContractTransactions(transactions)) {
+      await this.client.getEventLogsForTick(tick.tickNumber);
+    }
+    return true;
+  }
+}
+
+module.exports = new HeadTracker(localStore, qubicRpcClient, reservesEngine, {
+  maxReservesLagTicks: config.reserves.maxRequestReplayTicks
+});
@@ -0,0 +1,69 @@
+const { publicKeyToIdentity } = require('./qubicIdentity');
+
+/**
+ * Sequential reader for smart contract procedure inputs
+ *
+ * Transactions carry a procedure's input struct as `inputHex`. Fields are read in
+ * declaration order, little-endian, honoring the natural alignment of the C++
+ * struct. 64-bit values are returned as BigInt; asset names are decoded from their
+ * 8-byte, zero-padded ASCII form.
+ */
+class InputReader {
+  constructor(inputHex) {
+    this.bytes = Buffer.from(inputHex || '', 'hex');
+    this.offset = 0;
+  }
+
+  get length() {
+    return this.bytes.length;
+  }
+
+  // Identity encoded as a 32-byte public key
+  id() {
+    return publicKeyToIdentity(this._take(32, 8));
+  }
+
+  uint64() {
+    return this._take(8, 8).readBigUInt64LE(0);
+  }
+
+  sint64() {
+    return this._take(8, 8).readBigInt64LE(0);
+  }
+
+  uint32() {
+    return this._take(4, 4).readUInt32LE(0);
+  }
+
+  uint16() {
+    return this._take(2, 2).readUInt16LE(0);
+  }
+
+  uint8() {
+    return this._take(1, 1).readUInt8(0);
+  }
+
+  sint8() {
+    return this._take(1, 1).readInt8(0);
+  }
+
+  // Asset name stored in a uint64: up to 7 ASCII characters, zero-padded
+  assetName() {
+    const bytes = this._take(8, 8);
+    const end = bytes.indexOf(0);
+    return bytes.subarray(0, end === -1 ? 8 : end).toString('ascii');
+  }
+
+  _take(size, alignment) {
+    this.offset = Math.ceil(this.offset / alignment) * alignment;
+    if (this.offset + size > this.bytes.length) {
+      throw new Error(`Input of ${this.bytes.length} bytes is too short to read ${size} bytes at offset ${this.offset}`);
+    }
+
+    const slice = this.bytes.subarray(this.offset, this.offset + size);
+    this.offset += size;
+    return slice;
+  }
+}
+
+module.exports = InputReader;
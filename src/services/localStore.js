@@ -0,0 +1,445 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+
+/**
+ * Persistent local store for finalized chain data (SQLite)
+ *
+ * Only data that can no longer change is written here: ticks behind the safety
+ * buffer, their transaction lists and event logs. It also holds the epoch index
+ * (tick range of every epoch), sampled tick timestamps, asset issuances, the replayed reserves of every pool and the
+ * registered DEX pairs. Reads are synchronous and cheap, so QubicRpcClient consults the
+ * store before going upstream and warm restarts don't need to re-download anything
+ * already seen.
+ *
+ * The schema is versioned with `PRAGMA user_version`; each entry of MIGRATIONS
+ * upgrades the database by one version.
+ */
+const MIGRATIONS = [
+  // 1: finalized ticks and transactions per tick
+  `
+  CREATE TABLE ticks (
+    tick_number INTEGER PRIMARY KEY,
+    epoch INTEGER,
+    timestamp INTEGER,
+    is_empty INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX ticks_epoch ON ticks (epoch, tick_number);
+
+  CREATE TABLE tick_transactions (
+    tick_number INTEGER PRIMARY KEY,
+    transactions TEXT NOT NULL,
+    stored_at INTEGER NOT NULL
+  );
+  `,
+  // 2: epoch -> tick range index
+  `
+  CREATE TABLE epoch_index (
+    epoch INTEGER PRIMARY KEY,
+    initial_tick INTEGER NOT NULL,
+    final_tick INTEGER NOT NULL,
+    finalized INTEGER NOT NULL DEFAULT 0,
+    updated_at INTEGER NOT NULL
+  );
+  `,
+  // 3: sampled tick timestamps for timestamp -> tick lookups
+  `
+  CREATE TABLE timestamp_samples (
+    tick_number INTEGER PRIMARY KEY,
+    epoch INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    epoch_start INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX timestamp_samples_epoch ON timestamp_samples (epoch, tick_number);
+  `,
+  // 4: decoded event logs per tick
+  `
+  CREATE TABLE tick_event_logs (
+    tick_number INTEGER PRIMARY KEY,
+    event_logs TEXT NOT NULL,
+    stored_at INTEGER NOT NULL
+  );
+  `,
+  // 5: pool reserves after every tick that changed them, and named state values (replay checkpoints)
+  `
+  CREATE TABLE pool_reserves (
+    pair_id TEXT NOT NULL,
+    tick_number INTEGER NOT NULL,
+    asset0 TEXT NOT NULL,
+    asset1 TEXT NOT NULL,
+    PRIMARY KEY (pair_id, tick_number)
+  );
+
+  CREATE TABLE state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  `,
+  // 6: asset issuances (decimal places and unit of measurement never change once issued)
+  `
+  CREATE TABLE asset_issuances (
+    issuer TEXT NOT NULL,
+    name TEXT NOT NULL,
+    number_of_decimal_places INTEGER NOT NULL,
+    unit_of_measurement TEXT,
+    tick_number INTEGER,
+    PRIMARY KEY (issuer, name)
+  );
+  `,
+  // 7: DEX pairs discovered from contract activity, with the event that created them when it is known
+  `
+  CREATE TABLE pairs (
+    id TEXT PRIMARY KEY,
+    contract TEXT NOT NULL,
+    asset0_id TEXT NOT NULL,
+    asset1_id TEXT NOT NULL,
+    factory_address TEXT NOT NULL,
+    fee_bps INTEGER NOT NULL,
+    created_at_tick INTEGER,
+    created_at_timestamp INTEGER,
+    created_at_tx_id TEXT,
+    created_at_event_index INTEGER
+  );
+  `
+];
+
+// State key of the pool reserves replay checkpoint: { startTick, tickNumber }
+const POOL_RESERVES_CHECKPOINT_KEY = 'poolReservesCheckpoint';
+
+class LocalStore {
+  constructor(options = {}) {
+    const dbPath = options.path || ':memory:';
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    this.path = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this._migrate();
+    this._prepareStatements();
+
+    console.log(`Using local store at ${dbPath}`);
+  }
+
+  // ========== Ticks ==========
+
+  getTick(tickNumber) {
+    const row = this.statements.getTick.get(tickNumber);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  putTick(tick) {
+    this.statements.putTick.run(this._tickRow(tick));
+  }
+
+  // ========== Epoch Index ==========
+
+  // All indexed epoch ranges, ascending by epoch
+  getEpochRanges() {
+    return this.statements.getEpochRanges.all().map(row => ({
+      epoch: row.epoch,
+      initialTick: row.initial_tick,
+      finalTick: row.final_tick,
+      finalized: row.finalized === 1
+    }));
+  }
+
+  putEpochRange(range) {
+    this.statements.putEpochRange.run(
+      range.epoch,
+      range.initialTick,
+      range.finalTick,
+      range.finalized ? 1 : 0,
+      Date.now()
+    );
+  }
+
+  // ========== Timestamp Samples ==========
+
+  // Sampled tick timestamps of an epoch, ascending by tick number
+  getTimestampSamples(epoch) {
+    return this.statements.getTimestampSamples.all(epoch).map(row => ({
+      tickNumber: row.tick_number,
+      timestamp: row.timestamp,
+      epochStart: row.epoch_start === 1
+    }));
+  }
+
+  putTimestampSample(epoch, sample) {
+    this.statements.putTimestampSample.run(sample.tickNumber, epoch, sample.timestamp, sample.epochStart ? 1 : 0);
+  }
+
+  // ========== Transactions ==========
+
+  // Stored transaction list for a tick, or null if not stored (an empty list is a valid value)
+  getTransactions(tickNumber) {
+    const row = this.statements.getTransactions.get(tickNumber);
+    return row ? JSON.parse(row.transactions) : null;
+  }
+
+  putTransactions(tickNumber, transactions) {
+    this.statements.putTransactions.run(tickNumber, JSON.stringify(transactions), Date.now());
+  }
+
+  // ========== Event Logs ==========
+
+  // Stored event logs of a tick ({ [txId]: [event] }), or null if not stored
+  getEventLogs(tickNumber) {
+    const row = this.statements.getEventLogs.get(tickNumber);
+    return row ? JSON.parse(row.event_logs) : null;
+  }
+
+  putEventLogs(tickNumber, eventLogs) {
+    this.statements.putEventLogs.run(tickNumber, JSON.stringify(eventLogs), Date.now());
+  }
+
+  // ========== Asset Issuances ==========
+
+  // Issuance of an asset ({ issuer, name, numberOfDecimalPlaces, unitOfMeasurement, tickNumber }), or null
+  getAssetIssuance(issuer, name) {
+    const row = this.statements.getAssetIssuance.get(issuer, name);
+    return row ? {
+      issuer: row.issuer,
+      name: row.name,
+      numberOfDecimalPlaces: row.number_of_decimal_places,
+      unitOfMeasurement: row.unit_of_measurement,
+      tickNumber: row.tick_number
+    } : null;
+  }
+
+  putAssetIssuance(issuance) {
+    this.statements.putAssetIssuance.run(
+      issuance.issuer,
+      issuance.name,
+      issuance.numberOfDecimalPlaces,
+      issuance.unitOfMeasurement ?? null,
+      issuance.tickNumber ?? null
+    );
+  }
+
+  // ========== Pairs ==========
+
+  // Registered pair ({ id, contract, asset0Id, asset1Id, factoryAddress, feeBps, createdAt... }), or null
+  getPair(id) {
+    const row = this.statements.getPair.get(id);
+    return row ? {
+      id: row.id,
+      contract: row.contract,
+      asset0Id: row.asset0_id,
+      asset1Id: row.asset1_id,
+      factoryAddress: row.factory_address,
+      feeBps: row.fee_bps,
+      createdAtTickNumber: row.created_at_tick,
+      createdAtTimestamp: row.created_at_timestamp,
+      createdAtTxId: row.created_at_tx_id,
+      createdAtEventIndex: row.created_at_event_index
+    } : null;
+  }
+
+  // Register pairs in one transaction; a pair keeps the earliest creation it was stored with,
+  // and one stored without a creation takes the first it is given
+  putPairs(pairs) {
+    this._putPairsTx(pairs);
+  }
+
+  // ========== Pool Reserves ==========
+
+  // Reserves of every pool as of the end of `tickNumber`: [{ pairId, tickNumber, asset0, asset1 }]
+  getPoolReservesAt(tickNumber) {
+    return this.statements.getPoolReservesAt.all(tickNumber).map(row => ({
+      pairId: row.pair_id,
+      tickNumber: row.tick_number,
+      asset0: row.asset0,
+      asset1: row.asset1
+    }));
+  }
+
+  // First tick with stored reserves of a pool: the tick it was created at, if created after the start tick; or null
+  getFirstPoolReservesTick(pairId) {
+    const row = this.statements.getFirstPoolReservesTick.get(pairId);
+    return row && row.tick_number !== null ? row.tick_number : null;
+  }
+
+  // Store reserves rows and the replay checkpoint they lead up to in one transaction
+  putPoolReserves(rows, checkpoint) {
+    this._putPoolReservesTx(rows, checkpoint);
+  }
+
+  // Replay checkpoint { startTick, tickNumber }: reserves are stored for every tick up to tickNumber
+  getPoolReservesCheckpoint() {
+    return this.getState(POOL_RESERVES_CHECKPOINT_KEY);
+  }
+
+  // Drop all replayed reserves, e.g. when the replay start tick changes
+  resetPoolReserves() {
+    this._resetPoolReservesTx();
+  }
+
+  // ========== State ==========
+
+  // Named JSON value, or null if never written
+  getState(key) {
+    const row = this.statements.getState.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  putState(key, value) {
+    this.statements.putState.run(key, JSON.stringify(value), Date.now());
+  }
+
+  // ========== Maintenance ==========
+
+  getStats() {
+    return {
+      path: this.path,
+      ticks: this.db.prepare('SELECT COUNT(*) AS count FROM ticks').get().count,
+      tickTransactions: this.db.prepare('SELECT COUNT(*) AS count FROM tick_transactions').get().count,
+      tickEventLogs: this.db.prepare('SELECT COUNT(*) AS count FROM tick_event_logs').get().count,
+      indexedEpochs: this.db.prepare('SELECT COUNT(*) AS count FROM epoch_index').get().count,
+      timestampSamples: this.db.prepare('SELECT COUNT(*) AS count FROM timestamp_samples').get().count,
+      assetIssuances: this.db.prepare('SELECT COUNT(*) AS count FROM asset_issuances').get().count,
+      poolReserves: this.db.prepare('SELECT COUNT(*) AS count FROM pool_reserves').get().count,
+      pairs: this.db.prepare('SELECT COUNT(*) AS count FROM pairs').get().count
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // ========== Internals ==========
+
+  _migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[i]);
+        this.db.pragma(`user_version = ${i + 1}`);
+      })();
+      console.log(`Local store migrated to schema version ${i + 1}`);
+    }
+  }
+
+  _prepareStatements() {
+    this.statements = {
+      getTick: this.db.prepare('SELECT data FROM ticks WHERE tick_number = ?'),
+      // Tick lists don't carry timestamps, so never let them replace a stored tick that has one
+      putTick: this.db.prepare(`
+        INSERT INTO ticks (tick_number, epoch, timestamp, is_empty, data)
+        VALUES (@tickNumber, @epoch, @timestamp, @isEmpty, @data)
+        ON CONFLICT (tick_number) DO UPDATE SET
+          epoch = COALESCE(excluded.epoch, ticks.epoch),
+          is_empty = excluded.is_empty,
+          data = CASE WHEN excluded.timestamp IS NULL AND ticks.timestamp IS NOT NULL THEN ticks.data ELSE excluded.data END,
+          timestamp = COALESCE(excluded.timestamp, ticks.timestamp)
+      `),
+      getEpochRanges: this.db.prepare(
+        'SELECT epoch, initial_tick, final_tick, finalized FROM epoch_index ORDER BY epoch ASC'
+      ),
+      putEpochRange: this.db.prepare(`
+        INSERT OR REPLACE INTO epoch_index (epoch, initial_tick, final_tick, finalized, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      getTimestampSamples: this.db.prepare(
+        'SELECT tick_number, timestamp, epoch_start FROM timestamp_samples WHERE epoch = ? ORDER BY tick_number ASC'
+      ),
+      // Keep the epoch start flag once set
+      putTimestampSample: this.db.prepare(`
+        INSERT INTO timestamp_samples (tick_number, epoch, timestamp, epoch_start) VALUES (?, ?, ?, ?)
+        ON CONFLICT (tick_number) DO UPDATE SET epoch_start = MAX(timestamp_samples.epoch_start, excluded.epoch_start)
+      `),
+      getEventLogs: this.db.prepare('SELECT event_logs FROM tick_event_logs WHERE tick_number = ?'),
+      putEventLogs: this.db.prepare(`
+        INSERT OR REPLACE INTO tick_event_logs (tick_number, event_logs, stored_at) VALUES (?, ?, ?)
+      `),
+      getAssetIssuance: this.db.prepare(`
+        SELECT issuer, name, number_of_decimal_places, unit_of_measurement, tick_number
+        FROM asset_issuances WHERE issuer = ? AND name = ?
+      `),
+      putAssetIssuance: this.db.prepare(`
+        INSERT OR REPLACE INTO asset_issuances (issuer, name, number_of_decimal_places, unit_of_measurement, tick_number)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      getFirstPoolReservesTick: this.db.prepare('SELECT MIN(tick_number) AS tick_number FROM pool_reserves WHERE pair_id = ?'),
+      // Latest row of every pool at or before the tick
+      getPoolReservesAt: this.db.prepare(`
+        SELECT r.pair_id, r.tick_number, r.asset0, r.asset1 FROM pool_reserves r
+        JOIN (
+          SELECT pair_id, MAX(tick_number) AS tick_number FROM pool_reserves
+          WHERE tick_number <= ? GROUP BY pair_id
+        ) latest ON latest.pair_id = r.pair_id AND latest.tick_number = r.tick_number
+        ORDER BY r.pair_id
+      `),
+      putPoolReserves: this.db.prepare(`
+        INSERT OR REPLACE INTO pool_reserves (pair_id, tick_number, asset0, asset1) VALUES (?, ?, ?, ?)
+      `),
+      getPair: this.db.prepare('SELECT * FROM pairs WHERE id = ?'),
+      // Blocks can be requested out of order, so an earlier event replaces a later one; a pair
+      // without a creation never replaces one with
+      putPair: this.db.prepare(`
+        INSERT INTO pairs (
+          id, contract, asset0_id, asset1_id, factory_address, fee_bps,
+          created_at_tick, created_at_timestamp, created_at_tx_id, created_at_event_index
+        ) VALUES (
+          @id, @contract, @asset0Id, @asset1Id, @factoryAddress, @feeBps,
+          @createdAtTickNumber, @createdAtTimestamp, @createdAtTxId, @createdAtEventIndex
+        )
+        ON CONFLICT (id) DO UPDATE SET
+          created_at_tick = excluded.created_at_tick,
+          created_at_timestamp = excluded.created_at_timestamp,
+          created_at_tx_id = excluded.created_at_tx_id,
+          created_at_event_index = excluded.created_at_event_index
+        WHERE excluded.created_at_tick IS NOT NULL AND (
+          pairs.created_at_tick IS NULL
+          OR excluded.created_at_tick < pairs.created_at_tick
+          OR (excluded.created_at_tick = pairs.created_at_tick AND excluded.created_at_event_index < pairs.created_at_event_index)
+        )
+      `),
+      getState: this.db.prepare('SELECT value FROM state WHERE key = ?'),
+      putState: this.db.prepare(`
+        INSERT OR REPLACE INTO state (key, value, updated_at) VALUES (?, ?, ?)
+      `),
+      getTransactions: this.db.prepare('SELECT transactions FROM tick_transactions WHERE tick_number = ?'),
+      putTransactions: this.db.prepare(`
+        INSERT OR REPLACE INTO tick_transactions (tick_number, transactions, stored_at) VALUES (?, ?, ?)
+      `)
+    };
+
+    this._putPairsTx = this.db.transaction(pairs => {
+      for (const pair of pairs) {
+        this.statements.putPair.run(pair);
+      }
+    });
+
+    this._putPoolReservesTx = this.db.transaction((rows, checkpoint) => {
+      for (const row of rows) {
+        this.statements.putPoolReserves.run(row.pairId, row.tickNumber, row.asset0, row.asset1);
+      }
+      this.statements.putState.run(POOL_RESERVES_CHECKPOINT_KEY, JSON.stringify(checkpoint), Date.now());
+    });
+
+    this._resetPoolReservesTx = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM pool_reserves').run();
+      this.db.prepare('DELETE FROM state WHERE key = ?').run(POOL_RESERVES_CHECKPOINT_KEY);
+    });
+
+  }
+
+  _tickRow(tick) {
+    const timestamp = tick.timestamp === undefined || tick.timestamp === null ? NaN : Number(tick.timestamp);
+    return {
+      tickNumber: tick.tickNumber,
+      epoch: tick.epoch ?? null,
+      timestamp: isNaN(timestamp) ? null : timestamp,
+      isEmpty: tick.isEmpty ? 1 : 0,
+      data: JSON.stringify(tick)
+    };
+  }
+}
+
+module.exports = new LocalStore(config.store);
@@ -0,0 +1,136 @@
+const localStore = require('./localStore');
+const qubicRpcClient = require('./qubicRpcClient');
+const exchangeRegistry = require('./exchangeRegistry');
+const dataTransformer = require('./dataTransformer');
+const { loadTickData } = require('./tickDataLoader');
+const { QU_ASSET_ID, parseAssetId } = require('./assetId');
+
+/**
+ * Pair registry
+ *
+ * Qubic RPC lists no pairs, so they are learned from their creation events: a QX pair
+ * is the market of an asset against QU on QX, created by the asset's issuance; a
+ * Qswap pair is the asset's pool, created by CreatePool. Creation events built for
+ * /events register their pair with its block, timestamp and transaction. A pair asked
+ * for before its creation block was served is resolved on demand: a Qswap pool's
+ * creation is found at the first tick of its replayed reserves (see reservesEngine),
+ * whose events are built to register it. A pair that exists but whose creation can't
+ * be found - any QX pair (issuance records carry no creation tick), or a pool created
+ * before the reserves replay start - is registered without one until /events serves
+ * its creation block.
+ */
+
+class PairRegistry {
+  /**
+   * @param {Object} store - local store persisting the pairs
+   * @param {Object} client - QubicRpcClient serving issuances, ownerships and ticks
+   */
+  constructor(store, client) {
+    this.store = store;
+    this.client = client;
+  }
+
+  // Register the pairs created by a block's events
+  recordEvents(events) {
+    const pairs = new Map();
+    for (const event of events) {
+      if (event.eventType !== 'creation' || pairs.has(event.pairId)) continue;
+
+      const pair = this._pairFromEvent(event);
+      if (pair) pairs.set(pair.id, pair);
+    }
+
+    if (pairs.size > 0) this.store.putPairs([...pairs.values()]);
+  }
+
+  // Pair by id, resolving it if it wasn't registered yet; null if it doesn't exist
+  async getPair(id) {
+    const registered = this.store.getPair(id);
+    if (registered) return registered;
+
+    const parsed = this._parsePairId(id);
+    if (!parsed) return null;
+
+    const creationTick = parsed.exchange.decoder === 'qswap' ? this.store.getFirstPoolReservesTick(id) : null;
+    if (creationTick !== null) {
+      await this._recordTick(creationTick);
+      const created = this.store.getPair(id);
+      if (created) return created;
+    }
+
+    // A pool with replayed reserves exists even if its creation tick didn't register it
+    if (creationTick === null && !await this._exists(parsed)) return null;
+
+    const pair = this._pair(id, parsed.exchange, null);
+    this.store.putPairs([pair]);
+    return pair;
+  }
+
+  // Build a tick's events and register the pairs they create
+  async _recordTick(tickNumber) {
+    const tick = await this.client.getTickByNumber(tickNumber);
+    if (!tick) return;
+
+    const { transactions, eventLogs, assetDecimals, tick: resolvedTick } = await loadTickData(tick);
+    this.recordEvents(dataTransformer.transformTransactionsToEvents(transactions, resolvedTick, { eventLogs, assetDecimals }));
+  }
+
+  // `<contract>:<issuer>.<name>:QU` of a registered exchange: { exchange, asset }, or null
+  _parsePairId(id) {
+    const [contract, asset0Id, asset1Id, ...rest] = id.split(':');
+    const exchange = exchangeRegistry.getByContractName(contract);
+    if (!exchange || asset1Id !== QU_ASSET_ID || rest.length > 0) return null;
+
+    let asset;
+    try {
+      asset = parseAssetId(asset0Id);
+    } catch (error) {
+      return null;
+    }
+    return asset.native ? null : { exchange, asset };
+  }
+
+  // Whether the pair exists: QX trades every issued asset, a Qswap pool holds shares of its asset
+  async _exists({ exchange, asset }) {
+    const issuance = await this.client.getAssetIssuance(asset.issuer, asset.name);
+    if (!issuance) return false;
+
+    switch (exchange.decoder) {
+      case 'qx':
+        return true;
+      case 'qswap': {
+        const ownerships = await this.client.getAssetOwnerships(asset.issuer, asset.name);
+        return ownerships.some(ownership =>
+          ownership.owner === exchange.factoryAddress && BigInt(ownership.numberOfUnits) > 0n
+        );
+      }
+      default:
+        return false;
+    }
+  }
+
+  // Pair ids are `<contract>:<asset0Id>:<asset1Id>`; the pair's exchange supplies its factory and fee
+  _pairFromEvent(event) {
+    const exchange = exchangeRegistry.getByContractName(event.pairId.split(':')[0]);
+    return exchange ? this._pair(event.pairId, exchange, event) : null;
+  }
+
+  // Pair of an exchange, created by a creation event or, when its creation is unknown, by null
+  _pair(id, exchange, creation) {
+    const [contract, asset0Id, asset1Id] = id.split(':');
+    return {
+      id,
+      contract,
+      asset0Id,
+      asset1Id,
+      factoryAddress: exchange.factoryAddress,
+      feeBps: exchangeRegistry.getDecoder(exchange).feeBps,
+      createdAtTickNumber: creation ? creation.block.blockNumber : null,
+      createdAtTimestamp: creation ? creation.block.blockTimestamp : null,
+      createdAtTxId: creation ? creation.txnId : null,
+      createdAtEventIndex: creation ? creation.eventIndex : null
+    };
+  }
+}
+
+module.exports = new PairRegistry(localStore, qubicRpcClient);
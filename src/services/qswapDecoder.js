@@ -0,0 +1,120 @@
+const InputReader = require('./inputReader');
+const { contractIdentity } = require('./qubicIdentity');
+
+/**
+ * Decoder for transactions invoking the Qswap smart contract (contract index 13)
+ *
+ * Qswap is a constant-product AMM with one pool per Qubic asset, paired with QU.
+ * The QU side of a call is the amount attached to the transaction; the input struct
+ * holds the asset (issuer and name) and the asset side. Every swap fixes one side
+ * exactly and bounds the other (minimum out or maximum in), so swap actions carry
+ * which side is exact.
+ */
+
+const QSWAP_CONTRACT_INDEX = 13;
+
+// Fee left in the pool on every swap: `swapFeeRate` of 30 per 10000, i.e. 0.3%
+const QSWAP_SWAP_FEE_BPS = 30;
+
+// Procedure numbers as registered by the contract
+const QSWAP_PROCEDURES = {
+  CREATE_POOL: 3,
+  ADD_LIQUIDITY: 4,
+  REMOVE_LIQUIDITY: 5,
+  SWAP_EXACT_QU_FOR_ASSET: 6,
+  SWAP_QU_FOR_EXACT_ASSET: 7,
+  SWAP_EXACT_ASSET_FOR_QU: 8,
+  SWAP_ASSET_FOR_EXACT_QU: 9
+};
+
+class QswapDecoder {
+  constructor() {
+    this.contractIndex = QSWAP_CONTRACT_INDEX;
+    // Contract part of pair ids, e.g. `QSWAP:<issuer>.<name>:QU`
+    this.contractName = 'QSWAP';
+    this.address = contractIdentity(QSWAP_CONTRACT_INDEX);
+    this.procedures = QSWAP_PROCEDURES;
+    this.feeBps = QSWAP_SWAP_FEE_BPS;
+  }
+
+  isQswapTransaction(transaction) {
+    return Boolean(transaction) && transaction.destId === this.address;
+  }
+
+  /**
+   * Decode a Qswap transaction into a typed action
+   * Returns null for transactions not sent to Qswap or calling an unknown procedure;
+   * throws if the input of a known procedure is malformed.
+   */
+  decode(transaction) {
+    if (!this.isQswapTransaction(transaction)) return null;
+
+    const inputType = Number(transaction.inputType);
+    if (!Object.values(QSWAP_PROCEDURES).includes(inputType)) return null;
+
+    const reader = new InputReader(transaction.inputHex);
+    const attachedQu = String(transaction.amount || '0');
+    const base = {
+      contract: this.contractName,
+      txId: transaction.txId,
+      tickNumber: transaction.tickNumber,
+      source: transaction.sourceId,
+      invocationAmount: attachedQu,
+      asset: { issuer: reader.id(), name: reader.assetName() }
+    };
+
+    switch (inputType) {
+      case QSWAP_PROCEDURES.CREATE_POOL:
+        return { ...base, type: 'createPool' };
+
+      case QSWAP_PROCEDURES.ADD_LIQUIDITY:
+        return {
+          ...base,
+          type: 'addLiquidity',
+          quAmountDesired: attachedQu,
+          assetAmountDesired: reader.sint64().toString(),
+          quAmountMin: reader.sint64().toString(),
+          assetAmountMin: reader.sint64().toString()
+        };
+
+      case QSWAP_PROCEDURES.REMOVE_LIQUIDITY:
+        return {
+          ...base,
+          type: 'removeLiquidity',
+          burnLiquidity: reader.sint64().toString(),
+          quAmountMin: reader.sint64().toString(),
+          assetAmountMin: reader.sint64().toString()
+        };
+
+      // quAmount is exact, assetAmount the minimum out
+      case QSWAP_PROCEDURES.SWAP_EXACT_QU_FOR_ASSET:
+        return this._swap(base, 'quForAsset', 'input', attachedQu, reader.sint64().toString());
+
+      // assetAmount is exact, quAmount the maximum in (the rest is refunded)
+      case QSWAP_PROCEDURES.SWAP_QU_FOR_EXACT_ASSET:
+        return this._swap(base, 'quForAsset', 'output', attachedQu, reader.sint64().toString());
+
+      // assetAmount is exact, quAmount the minimum out
+      case QSWAP_PROCEDURES.SWAP_EXACT_ASSET_FOR_QU: {
+        const assetAmount = reader.sint64().toString();
+        return this._swap(base, 'assetForQu', 'input', reader.sint64().toString(), assetAmount);
+      }
+
+      // quAmount is exact, assetAmount the maximum in
+      case QSWAP_PROCEDURES.SWAP_ASSET_FOR_EXACT_QU: {
+        const assetAmount = reader.sint64().toString();
+        return this._swap(base, 'assetForQu', 'output', reader.sint64().toString(), assetAmount);
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // `exact` names the side fixed by the caller: 'input' or 'output'; the other side is a limit
+  _swap(base, direction, exact, quAmount, assetAmount) {
+    return { ...base, type: 'swap', direction, exact, quAmount, assetAmount };
+  }
+}
+
+module.exports = new QswapDecoder();
@@ -0,0 +1,96 @@
+const { k12 } = require('@noble/hashes/sha3-addons');
+
+/**
+ * Qubic identity encoding
+ *
+ * A public key (32 bytes) is written as 60 uppercase letters: four little-endian
+ * 64-bit fragments in base 26 (14 letters each, least significant first), followed
+ * by a 4-letter checksum taken from the KangarooTwelve hash of the key. Smart
+ * contracts use the public key whose first 8 bytes hold the contract index.
+ */
+
+const PUBLIC_KEY_LENGTH = 32;
+const IDENTITY_LENGTH = 60;
+const LETTERS_PER_FRAGMENT = 14;
+const CHECKSUM_LETTERS = 4;
+
+// Identity of the all-zero public key, used where no identity is set
+const NULL_IDENTITY = publicKeyToIdentity(new Uint8Array(PUBLIC_KEY_LENGTH));
+
+function publicKeyToIdentity(publicKey) {
+  const bytes = Buffer.from(publicKey);
+  if (bytes.length !== PUBLIC_KEY_LENGTH) {
+    throw new Error(`Public key must be ${PUBLIC_KEY_LENGTH} bytes, got ${bytes.length}`);
+  }
+
+  let identity = '';
+  for (let i = 0; i < 4; i++) {
+    let fragment = bytes.readBigUInt64LE(i * 8);
+    for (let j = 0; j < LETTERS_PER_FRAGMENT; j++) {
+      identity += String.fromCharCode(65 + Number(fragment % 26n));
+      fragment /= 26n;
+    }
+  }
+
+  return identity + checksumLetters(bytes);
+}
+
+// Public key of an identity, or null if it isn't a well-formed identity with a valid checksum
+function identityToPublicKey(identity) {
+  if (typeof identity !== 'string' || !/^[A-Z]{60}$/.test(identity)) return null;
+
+  const bytes = Buffer.alloc(PUBLIC_KEY_LENGTH);
+  for (let i = 0; i < 4; i++) {
+    let fragment = 0n;
+    for (let j = LETTERS_PER_FRAGMENT - 1; j >= 0; j--) {
+      fragment = fragment * 26n + BigInt(identity.charCodeAt(i * LETTERS_PER_FRAGMENT + j) - 65);
+    }
+    if (fragment >= 1n << 64n) return null;
+    bytes.writeBigUInt64LE(fragment, i * 8);
+  }
+
+  if (checksumLetters(bytes) !== identity.substring(IDENTITY_LENGTH - CHECKSUM_LETTERS)) return null;
+  return bytes;
+}
+
+function isValidIdentity(identity) {
+  return identityToPublicKey(identity) !== null;
+}
+
+// Identity of the smart contract with the given index
+function contractIdentity(contractIndex) {
+  const publicKey = Buffer.alloc(PUBLIC_KEY_LENGTH);
+  publicKey.writeBigUInt64LE(BigInt(contractIndex), 0);
+  return publicKeyToIdentity(publicKey);
+}
+
+// Index of the smart contract an identity belongs to, or null for any other identity
+// The null identity (index 0) is not a contract
+function contractIndexOf(identity) {
+  const publicKey = identityToPublicKey(identity);
+  if (!publicKey || publicKey.subarray(8).some(byte => byte !== 0)) return null;
+
+  const contractIndex = publicKey.readBigUInt64LE(0);
+  return contractIndex > 0n ? Number(contractIndex) : null;
+}
+
+function checksumLetters(publicKey) {
+  const hash = k12(publicKey, { dkLen: 3 });
+  let checksum = (hash[0] | (hash[1] << 8) | (hash[2] << 16)) & 0x3FFFF;
+
+  let letters = '';
+  for (let i = 0; i < CHECKSUM_LETTERS; i++) {
+    letters += String.fromCharCode(65 + (checksum % 26));
+    checksum = Math.floor(checksum / 26);
+  }
+  return letters;
+}
+
+module.exports = {
+  NULL_IDENTITY,
+  publicKeyToIdentity,
+  identityToPublicKey,
+  isValidIdentity,
+  contractIdentity,
+  contractIndexOf
+};
@@ -1,1196 +1,826 @@
-const axios = require('axios');
 const config = require('../config');
+const RpcEndpointPool = require('./rpcEndpointPool');
+const ResiliencePolicy = require('./resiliencePolicy');
+const RouteDiscovery = require('./routeDiscovery');
+const SingleFlight = require('./singleFlight');
+const CacheStore = require('./cacheStore');
+const localStore = require('./localStore');
+const EpochIndex = require('./epochIndex');
+const TimestampIndex = require('./timestampIndex');
+const eventLogDecoder = require('./eventLogDecoder');
+const { QU_DECIMALS } = require('./amountFormatter');
+const { parseAssetId } = require('./assetId');
+const supplyCalculator = require('./supplyCalculator');
+
+// Routes served by the archiver rather than the live RPC
+const ARCHIVER_ROUTE_PREFIXES = ['/v2/', '/v1/status', '/v1/epochs/', '/v1/ticks/', '/v1/events/'];
+
+// Candidate route shapes per resource type, most likely to work first
+const RESOURCE_ROUTES = {
+  // Live RPC query: ?issuerIdentity=&assetName=
+  assetIssuances: {
+    candidates: ['/v1/assets/issuances'],
+    isValid: data => Boolean(data && Array.isArray(data.assets))
+  },
+  // Live RPC query: ?issuerIdentity=&assetName=
+  assetOwnerships: {
+    candidates: ['/v1/assets/ownerships'],
+    isValid: data => Boolean(data && Array.isArray(data.assets))
+  },
+  // Live RPC query: ?page=&pageSize= (pages count from 1)
+  richList: {
+    candidates: ['/v1/rich-list'],
+    isValid: data => Boolean(data && data.richList && Array.isArray(data.richList.entities) && data.pagination)
+  },
+  tickEvents: {
+    candidates: ['/v1/ticks/{tick}/events', '/v2/ticks/{tick}/events', '/v1/events/{tick}'],
+    isValid: data => Boolean(data && Array.isArray(data.txEvents))
+  },
+  apiHealth: {
+    candidates: ['/v1/health', '/v2/health', '/assets/health', '/identities/health'],
+    isValid: () => true
+  }
+};
 
 class QubicRpcClient {
   constructor() {
-    this.client = axios.create({
-      baseURL: config.qubic.rpcUrl,
+    const poolOptions = {
       timeout: 30000, // Increased timeout from 10000 to 30000 (30 seconds) for better reliability
       maxContentLength: 50 * 1024 * 1024, // Add 50MB max content length to handle large responses
+      ejectAfterFailures: config.qubic.ejectAfterFailures,
+      cooldownMs: config.qubic.ejectCooldownMs
+    };
+    this.pools = {
+      rpc: new RpcEndpointPool('rpc', config.qubic.rpcUrls, poolOptions),
+      archiver: new RpcEndpointPool('archiver', config.qubic.archiverUrls, poolOptions)
+    };
+    console.log(`Using RPC endpoints: ${config.qubic.rpcUrls.join(', ')}`);
+    console.log(`Using archiver endpoints: ${config.qubic.archiverUrls.join(', ')}`);
+
+    // Retries, backoff and circuit breaking around every upstream call
+    this.resilience = new ResiliencePolicy(config.resilience);
+
+    // Shares in-flight promises between concurrent identical calls
+    this.singleFlight = new SingleFlight();
+
+    // Remembers the working route shape per resource type
+    this.routes = new RouteDiscovery(
+      RESOURCE_ROUTES,
+      (endpoint, params) => this.handleRequest(endpoint, params, { expectNotFound: true }),
+      config.routes
+    );
+    
+    // Bounded cache for ticks (`tick:`), tick list pages (`tickPage:`),
+    // transactions by tick (`transactions:`), event logs by tick (`eventLogs:`), timestamp samples by epoch
+    // (`timestampSamples:`) and the last status check (`status`)
+    this.cache = new CacheStore(config.cache);
+    
+    // Initial and final tick of every epoch, persisted in the local store
+    this.epochIndex = new EpochIndex(localStore, {
+      fetchStatus: () => this.getStatus(),
+      fetchFirstTick: epoch => this.getFirstTickOfEpoch(epoch)
     });
-    console.log(`Using RPC endpoint: ${config.qubic.rpcUrl}`);
     
-    // Initialize cache
-    this.cache = {
-      epochData: {}, // Cache for epoch data
-      ticks: {},     // Cache for individual ticks
-      status: null,  // Cache for last status check
-      statusTimestamp: 0,
-      epochRanges: {}, // Cache for epoch tick ranges
-      transactions: {}, // Cache for transaction data by tick
-    };
+    // Sampled tick timestamps for /block?timestamp lookups, persisted in the local store
+    this.timestampIndex = new TimestampIndex(localStore, this.cache, this.epochIndex, {
+      findTickAtOrBefore: (epoch, tickNumber, floorTick) =>
+        this.findNewestTickAtOrBefore(tickNumber, { epoch, floorTick }),
+      findFirstTick: epoch => this.findFirstNonEmptyTick(epoch)
+    });
+    
+    // Highest tick and epoch seen upstream, used to tell finalized data from mutable data
+    this.latestKnownTick = 0;
+    this.latestKnownEpoch = 0;
     
     // Safety buffer for latest block (reduced from 10 to 5)
     this.LATEST_BLOCK_SAFETY_BUFFER = 5;
     
-    // Use 10000 as default page size for performance
-    this.DEFAULT_PAGE_SIZE = 10000;
+    // Smaller pages for locating single ticks and block ranges in an epoch's tick list
+    this.TICK_LOOKUP_PAGE_SIZE = 1000;
   }
 
-  // ========== Helper Methods ==========
-  async handleRequest(endpoint, params = {}) {
-    try {
-      const response = await this.client.get(endpoint, { params });
-      return response.data;
-    } catch (error) {
-      console.error(`Error calling ${endpoint}:`, error.message);
-      throw error;
+  // ========== Cache Helpers ==========
+
+  // Ticks behind the safety buffer can no longer change
+  isFinalizedTick(tickNumber) {
+    return this.latestKnownTick > 0 && tickNumber <= this.latestKnownTick - this.LATEST_BLOCK_SAFETY_BUFFER;
+  }
+
+  // Epochs before the current one can no longer change
+  isFinalizedEpoch(epoch) {
+    return this.latestKnownEpoch > 0 && epoch < this.latestKnownEpoch;
+  }
+
+  // Record the chain head reported upstream
+  updateLatestKnown(tickNumber, epoch) {
+    if (tickNumber > this.latestKnownTick) this.latestKnownTick = tickNumber;
+    if (epoch > this.latestKnownEpoch) this.latestKnownEpoch = epoch;
+  }
+
+  // Cache a tick, and persist it once it is finalized
+  cacheTick(tick) {
+    const finalized = this.isFinalizedTick(tick.tickNumber);
+    this.cache.set(`tick:${tick.tickNumber}`, tick, { finalized });
+    if (finalized) {
+      localStore.putTick(tick);
     }
   }
 
-  // Get current epoch with caching
-  async getCurrentEpoch() {
-    // Check if we have a recent status cache (less than 30 seconds old)
-    const now = Date.now();
-    if (this.cache.status && (now - this.cache.statusTimestamp) < 30000) {
-      return this.cache.status.lastProcessedTick?.epoch || 0;
+  // Explicitly drop cached data, e.g. `invalidateCache('transactions:')`; no prefix clears everything
+  invalidateCache(prefix) {
+    if (prefix) {
+      this.cache.invalidatePrefix(prefix);
+    } else {
+      this.cache.clear();
     }
-    
+  }
+
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  // ========== Helper Methods ==========
+
+  // Send a GET request through the resilience policy (retries, backoff, circuit breaker)
+  // With `expectNotFound`, 404 responses are not logged as errors
+  // Concurrent identical requests share a single upstream call
+  async handleRequest(endpoint, params = {}, options = {}) {
+    const pool = this.getPoolForEndpoint(endpoint);
+    const requestKey = `request:${endpoint}?${JSON.stringify(params)}`;
+
     try {
-      const statusResponse = await this.handleRequest('/v1/status');
-      if (statusResponse && statusResponse.lastProcessedTick && statusResponse.lastProcessedTick.epoch) {
-        // Update cache
-        this.cache.status = statusResponse;
-        this.cache.statusTimestamp = now;
-        
-        const currentEpoch = statusResponse.lastProcessedTick.epoch;
-        console.log(`Current epoch from status: ${currentEpoch}`);
-        return currentEpoch;
-      }
+      return await this.singleFlight.do(requestKey, () => this.resilience.execute(
+        endpoint,
+        pool.name,
+        () => this.requestFromPool(pool, endpoint, params),
+        error => this.isEndpointFault(error)
+      ));
     } catch (error) {
-      console.error('Failed to get current epoch:', error.message);
+      if (!(options.expectNotFound && error.response && error.response.status === 404)) {
+        console.error(`Error calling ${endpoint}:`, error.message);
+      }
+      throw error;
     }
-    
-    // Fallback to a known epoch if we can't determine the current one
-    return 152; // Known good epoch from logs
   }
 
-  // Get all ticks from an epoch with proper pagination - no artificial limits
-  async getAllTicksFromEpoch(epoch, maxTicks = Infinity) {
-    const cacheKey = `epoch_${epoch}`;
-    
-    // Return cached epoch data if available
-    if (this.cache.epochData[cacheKey] && this.cache.epochData[cacheKey].length > 0) {
-      console.log(`Using ${this.cache.epochData[cacheKey].length} cached ticks for epoch ${epoch}`);
-      return this.cache.epochData[cacheKey];
-    }
-    
-    console.log(`Getting all ticks from epoch ${epoch} (up to ${maxTicks === Infinity ? 'unlimited' : maxTicks})`);
-    
-    const allTicks = [];
-    const pageSize = 10000; // INCREASED from 500 to 10000 for better performance
-    let page = 0;
-    let hasMoreData = true;
-    let emptyPageCount = 0;
-    const MAX_EMPTY_PAGES = 3; // Stop after 3 consecutive empty pages
-    
-    // Process pages until we have all data or reach the limit
-    while (hasMoreData && allTicks.length < maxTicks) {
+  // Send a GET request to the healthiest endpoint of a pool,
+  // failing over to the next endpoint when the error points at the host
+  async requestFromPool(pool, endpoint, params) {
+    let lastError = null;
+
+    for (const candidate of pool.getCandidates()) {
+      const startedAt = Date.now();
       try {
-        console.log(`Fetching epoch ${epoch} page ${page} (pageSize: ${pageSize})`);
-        const ticksResponse = await this.handleRequest(
-          `/v2/epochs/${epoch}/ticks`,
-          { page, pageSize }
-        );
-        
-        if (!ticksResponse || !ticksResponse.ticks || !Array.isArray(ticksResponse.ticks) || ticksResponse.ticks.length === 0) {
-          // No more data available or empty page
-          emptyPageCount++;
-          
-          if (emptyPageCount >= MAX_EMPTY_PAGES) {
-            console.log(`Received ${MAX_EMPTY_PAGES} consecutive empty pages, assuming end of data`);
-            hasMoreData = false;
-          } else {
-            // Try next page in case of temporary issue
-            page++;
-            console.log(`Empty page received, continuing to next page ${page}`);
-          }
-        } else {
-          // Reset empty page counter when we get data
-          emptyPageCount = 0;
-          
-          const tickList = ticksResponse.ticks;
-          console.log(`Got ${tickList.length} ticks from epoch ${epoch} page ${page}`);
-          
-          // Add normalized ticks to our collection
-          for (const tick of tickList) {
-            // Also cache individual ticks
-            const tickNumber = tick.tickNumber || tick.number;
-            this.cache.ticks[tickNumber] = this.normalizeTickData(tick);
-            
-            allTicks.push(this.cache.ticks[tickNumber]);
-          }
-          
-          // Check if we've reached the end
-          if (tickList.length < pageSize) {
-            console.log(`Received less than ${pageSize} ticks, reached end of data`);
-            hasMoreData = false;
-          } else {
-            page++;
-          }
-        }
+        const response = await candidate.client.get(endpoint, { params });
+        pool.recordSuccess(candidate, Date.now() - startedAt);
+        return response.data;
       } catch (error) {
-        console.error(`Error getting ticks for epoch ${epoch} page ${page}:`, error.message);
-        // Try a few more times with increasing delay in case of temporary issues
-        if (error.response && error.response.status === 429) {
-          // Rate limited, wait longer
-          const delay = 2000 * (emptyPageCount + 1);
-          console.log(`Rate limited, waiting ${delay}ms before retry`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          emptyPageCount++;
-          // Don't mark as end of data yet unless we've hit the limit
-          if (emptyPageCount >= MAX_EMPTY_PAGES * 2) {
-            hasMoreData = false;
-          }
-        } else {
-          hasMoreData = false;
+        lastError = error;
+
+        // Client errors (e.g. 404 for an unknown route) would fail on any host
+        if (!this.isEndpointFault(error)) {
+          pool.recordSuccess(candidate, Date.now() - startedAt);
+          break;
         }
+
+        pool.recordFailure(candidate, Date.now() - startedAt, error);
+        console.warn(`Error calling ${endpoint} on ${candidate.url}: ${error.message}`);
       }
     }
-    
-    // If we found ticks, calculate and cache the tick number range for this epoch
-    if (allTicks.length > 0) {
-      const tickNumbers = allTicks.map(t => t.tickNumber);
-      this.cache.epochRanges[epoch] = {
-        minTickNumber: Math.min(...tickNumbers),
-        maxTickNumber: Math.max(...tickNumbers)
-      };
-      console.log(`Epoch ${epoch} contains ticks from ${this.cache.epochRanges[epoch].minTickNumber} to ${this.cache.epochRanges[epoch].maxTickNumber}`);
+
+    throw lastError;
+  }
+
+  // Pick the endpoint pool serving a route
+  getPoolForEndpoint(endpoint) {
+    const isArchiverRoute = ARCHIVER_ROUTE_PREFIXES.some(prefix => endpoint.startsWith(prefix));
+    return isArchiverRoute ? this.pools.archiver : this.pools.rpc;
+  }
+
+  // Whether an error indicates a problem with the host rather than the request
+  isEndpointFault(error) {
+    if (!error.response) return true; // Network error or timeout
+    const status = error.response.status;
+    return status >= 500 || status === 429 || status === 408;
+  }
+
+  // Per-endpoint health of both pools, their circuit states and request coalescing stats
+  getEndpointPoolStatus() {
+    return {
+      rpc: this.pools.rpc.getStatus(),
+      archiver: this.pools.archiver.getStatus(),
+      circuits: this.resilience.getCircuitStatus(),
+      singleFlight: this.singleFlight.getStats()
+    };
+  }
+
+  // Get the archiver status, cached for the mutable TTL
+  async getStatus() {
+    return this.singleFlight.do('status', () => this._getStatus());
+  }
+
+  async _getStatus() {
+    const cachedStatus = this.cache.get('status');
+    if (cachedStatus) {
+      return cachedStatus;
     }
     
-    // Sort ticks by number (descending)
-    allTicks.sort((a, b) => b.tickNumber - a.tickNumber);
+    const statusResponse = await this.handleRequest('/v1/status');
+    if (!statusResponse || !statusResponse.lastProcessedTick || !statusResponse.lastProcessedTick.epoch) {
+      throw new Error('Archiver status response has no last processed tick');
+    }
     
-    // Cache the results
-    this.cache.epochData[cacheKey] = allTicks;
+    // Update cache, chain head and epoch index
+    this.cache.set('status', statusResponse);
+    this.updateLatestKnown(statusResponse.lastProcessedTick.tickNumber || 0, statusResponse.lastProcessedTick.epoch);
+    await this.epochIndex.updateFromStatus(statusResponse);
     
-    console.log(`Total ticks found in epoch ${epoch}: ${allTicks.length}`);
-    return allTicks;
+    return statusResponse;
   }
 
-  // Find which epoch contains a specific tick number
-  async findEpochForTick(tickNumber) {
-    // First check the cache to see if we already know which epoch contains this tick
-    for (const epoch in this.cache.epochRanges) {
-      const range = this.cache.epochRanges[epoch];
-      if (tickNumber >= range.minTickNumber && tickNumber <= range.maxTickNumber) {
-        console.log(`Found tick ${tickNumber} in cached epoch ${epoch} range`);
-        return parseInt(epoch);
-      }
+  // Get current epoch with caching
+  async getCurrentEpoch() {
+    try {
+      const status = await this.getStatus();
+      return status.lastProcessedTick.epoch;
+    } catch (error) {
+      console.error('Failed to get current epoch:', error.message);
     }
     
-    // If not found in cache, start with current epoch and work backwards
-    const currentEpoch = await this.getCurrentEpoch();
-    
-    // Since epochs change weekly and we have 152 historical epochs (0-151 plus current)
-    // we need to check all of them to find historical data
-    const MAX_EPOCHS_TO_CHECK = Math.max(153, currentEpoch + 1); // Check all possible epochs
-    
-    // First check recently used epochs as they're most likely
-    const recentlyAccessedEpochs = Object.keys(this.cache.epochData)
-      .map(key => parseInt(key.replace('epoch_', '')))
-      .sort((a, b) => b - a); // Most recent first
-      
-    for (const epochToCheck of recentlyAccessedEpochs) {
-      // Get some ticks from this epoch if not already cached
-      if (!this.cache.epochRanges[epochToCheck]) {
-        const epochTicks = await this.getAllTicksFromEpoch(epochToCheck, 1000);
-        if (epochTicks.length === 0) continue;
-      }
-      
-      // Now check if the tick is in this epoch's range
-      const range = this.cache.epochRanges[epochToCheck];
-      if (range && tickNumber >= range.minTickNumber && tickNumber <= range.maxTickNumber) {
-        console.log(`Found tick ${tickNumber} in recently accessed epoch ${epochToCheck} range`);
-        return epochToCheck;
-      }
+    // Fall back to the newest epoch in the index if the status is unavailable
+    const latestIndexed = this.epochIndex.getLatestEpoch();
+    if (latestIndexed) {
+      console.warn(`Using latest indexed epoch ${latestIndexed.epoch} as current epoch`);
+      return latestIndexed.epoch;
     }
     
-    // Progressively scan through epochs - start with current and move backward
-    for (let epochDiff = 0; epochDiff <= MAX_EPOCHS_TO_CHECK; epochDiff++) {
-      // Try both current epoch minus diff (going back) and plus diff (in case tick is in future epoch)
-      const epochsToCheck = [
-        currentEpoch - epochDiff,
-        currentEpoch + epochDiff
-      ].filter(e => e >= 0); // Only non-negative epochs
-      
-      for (const epochToCheck of epochsToCheck) {
-        // Skip if already checked
-        if (this.cache.epochRanges[epochToCheck]) continue;
-        
-        // Get some ticks from this epoch to establish its range
-        console.log(`Checking epoch ${epochToCheck} for tick ${tickNumber}`);
-        const epochTicks = await this.getAllTicksFromEpoch(epochToCheck, 1000);
-        
-        // If we couldn't get any ticks, skip to next epoch
-        if (epochTicks.length === 0) continue;
-        
-        // Now check if the tick is in this epoch's range
-        const range = this.cache.epochRanges[epochToCheck];
-        if (range && tickNumber >= range.minTickNumber && tickNumber <= range.maxTickNumber) {
-          console.log(`Found tick ${tickNumber} in epoch ${epochToCheck} range`);
-          return epochToCheck;
-        }
-      }
-      
-      // If we've checked all possible epochs, break out
-      if (epochDiff > currentEpoch && epochDiff > 152) {
-        break;
-      }
+    throw new Error('Current epoch is unknown: archiver status unavailable and epoch index empty');
+  }
+
+  // Get the first tick number of an epoch from its tick list
+  async getFirstTickOfEpoch(epoch) {
+    const response = await this.handleRequest(`/v2/epochs/${epoch}/ticks`, { page: 0, pageSize: 1 });
+    const firstTick = response && Array.isArray(response.ticks) ? response.ticks[0] : null;
+    return firstTick ? (firstTick.tickNumber || firstTick.number) : null;
+  }
+
+  // Find which epoch contains a specific tick number, or null if no known epoch does
+  async findEpochForTick(tickNumber) {
+    if (this.epochIndex.getAll().length === 0) {
+      await this.epochIndex.refresh({ force: true });
     }
     
-    // If we couldn't find the epoch, return the current one as fallback
-    console.warn(`Could not determine which epoch contains tick ${tickNumber}, using current epoch ${currentEpoch}`);
-    return currentEpoch;
+    const epoch = await this.epochIndex.findEpochForTick(tickNumber);
+    if (epoch === null) {
+      console.warn(`Tick ${tickNumber} is not part of any indexed epoch`);
+    }
+    return epoch;
   }
 
   // ========== Block/Tick Methods ==========
   
-  // Get the latest tick (block) that's safe for DEXTools to consume
-  // As per spec: "must return a block only when all events have been processed"
+  // Newest non-empty tick behind the safety buffer that the archiver has processed: the
+  // candidate head of /latest-block, which headTracker only accepts once its data is complete
+  // Resolves with null when no such tick can be determined; never returns a placeholder
   async getLatestTick() {
     try {
       // RESET any cached data for status to ensure fresh results
-      this.cache.status = null;
-      this.cache.statusTimestamp = 0;
+      this.cache.invalidate('status');
       
       // First get latest tick number from API
       const response = await this.handleRequest('/v1/latestTick');
-      
-      if (response && response.latestTick) {
-        const latestTickNumber = response.latestTick;
-        console.log(`Absolute latest tick number: ${latestTickNumber}`);
-        
-        // Apply safety buffer - go back a few ticks to ensure all events are processed
-        // This is crucial to meet DEXTools HTTP adapter spec requirement
-        const safeTickNumber = Math.max(0, latestTickNumber - this.LATEST_BLOCK_SAFETY_BUFFER);
-        console.log(`Using safe tick number with buffer: ${safeTickNumber}`);
-        
-        // Instead of relying on cached data, try to directly fetch this tick
-        try {
-          console.log(`Attempting direct fetch of tick ${safeTickNumber}`);
-          const directTickResponse = await this.handleRequest(`/v2/ticks/${safeTickNumber}`);
-          
-          if (directTickResponse) {
-            const safeTickData = this.normalizeTickData(directTickResponse);
-            console.log(`Successfully fetched tick ${safeTickNumber} directly`);
-            
-            // Verify transaction data is available
-            try {
-              // Just check if the transactions endpoint is accessible
-              await this.client.get(`/v2/ticks/${safeTickNumber}/transactions`, {
-                params: { page: 0, pageSize: 1 }
-              });
-              console.log(`Verified transaction data availability for tick ${safeTickNumber}`);
-              return safeTickData;
-            } catch (txError) {
-              console.warn(`Tick ${safeTickNumber} has inaccessible transaction data: ${txError.message}`);
-              // Continue to fallback methods
-            }
-          }
-        } catch (directError) {
-          console.warn(`Direct tick fetch failed: ${directError.message}`);
-          // Continue to fallback methods
-        }
-        
-        // Get current epoch
-        const currentEpoch = await this.getCurrentEpoch();
-        
-        // Try a different approach - get the status which includes lastProcessedTick
-        try {
-          const statusResponse = await this.handleRequest('/v1/status');
-          if (statusResponse && statusResponse.lastProcessedTick && statusResponse.lastProcessedTick.tickNumber) {
-            const lastProcessedTickNumber = statusResponse.lastProcessedTick.tickNumber;
-            console.log(`Last processed tick from status: ${lastProcessedTickNumber}`);
-            
-            // Use the last processed tick, which should be safe
-            const statusTickData = {
-              tickNumber: lastProcessedTickNumber,
-              timestamp: Date.now(),
-              epoch: statusResponse.lastProcessedTick.epoch || currentEpoch
-            };
-            
-            // Check if it's at least within a reasonable range of our safe tick
-            if (Math.abs(lastProcessedTickNumber - safeTickNumber) < 1000) {
-              console.log(`Using last processed tick from status: ${lastProcessedTickNumber}`);
-              return statusTickData;
-            } else {
-              console.warn(`Last processed tick ${lastProcessedTickNumber} too far from safe tick ${safeTickNumber}`);
-              // Continue to fallback methods
-            }
-          }
-        } catch (statusError) {
-          console.warn(`Status fetch failed: ${statusError.message}`);
-          // Continue to fallback methods
-        }
-        
-        // Fallback to epoch-based search
-        const pageSize = 10000; // INCREASED from 500 to 10000 for better performance
-        
-        // Calculate the page more precisely for the safe tick number
-        const estimatedPage = Math.floor(safeTickNumber / pageSize);
-        console.log(`Fetching from epoch ${currentEpoch}, estimated page: ${estimatedPage}`);
-        
-        // Get ticks from this page
-        try {
-          const ticksResponse = await this.handleRequest(
-            `/v2/epochs/${currentEpoch}/ticks`,
-            { page: estimatedPage, pageSize }
-          );
-          
-          if (ticksResponse && ticksResponse.ticks && Array.isArray(ticksResponse.ticks)) {
-            // Find our target tick or closest one
-            let targetTick = null;
-            let closestOlderTick = null;
-            let smallestDiff = Infinity;
-            
-            for (const tick of ticksResponse.ticks) {
-              const tickNumber = tick.tickNumber || tick.number;
-              
-              // Exact match
-              if (tickNumber === safeTickNumber) {
-                targetTick = this.normalizeTickData(tick);
-                break;
-              }
-              
-              // Find closest older tick
-              if (tickNumber <= safeTickNumber && safeTickNumber - tickNumber < smallestDiff) {
-                closestOlderTick = this.normalizeTickData(tick);
-                smallestDiff = safeTickNumber - tickNumber;
-              }
-            }
-            
-            // If we found the exact tick, use it
-            if (targetTick) {
-              console.log(`Found exact safe tick ${targetTick.tickNumber}`);
-              return targetTick;
-            }
-            
-            // If we found a close older tick, use it
-            if (closestOlderTick) {
-              console.log(`Using closest older tick ${closestOlderTick.tickNumber}`);
-              return closestOlderTick;
-            }
-          }
-        } catch (error) {
-          console.warn(`Error fetching estimated page ${estimatedPage}: ${error.message}`);
-        }
-        
-        // Last resort - just return basic info with the calculated safe tick number
-        console.warn(`Could not find tick data, returning basic info for tick ${safeTickNumber}`);
-        return { 
-          tickNumber: safeTickNumber, 
-          timestamp: Math.floor(Date.now() / 1000), // Use seconds for timestamp
-          epoch: currentEpoch
-        };
+      if (!response || !response.latestTick) {
+        console.warn('Failed to get latest tick number from Qubic RPC');
+        return null;
       }
       
-      console.warn('Failed to get latest tick number from Qubic RPC, returning placeholder');
-      return { tickNumber: 0, timestamp: Math.floor(Date.now() / 1000) };
+      const latestTickNumber = response.latestTick;
+      console.log(`Absolute latest tick number: ${latestTickNumber}`);
+      this.updateLatestKnown(latestTickNumber, 0);
+      
+      // Apply safety buffer - go back a few ticks to ensure all events are processed
+      // This is crucial to meet DEXTools HTTP adapter spec requirement
+      let safeTickNumber = Math.max(0, latestTickNumber - this.LATEST_BLOCK_SAFETY_BUFFER);
+      
+      // Events are only available for ticks the archiver has already processed
+      const status = await this.getStatus();
+      safeTickNumber = Math.min(safeTickNumber, status.lastProcessedTick.tickNumber);
+      console.log(`Using safe tick number with buffer: ${safeTickNumber}`);
+      
+      const tick = await this.findNewestTickAtOrBefore(safeTickNumber);
+      if (!tick) {
+        console.warn(`No non-empty tick found at or before ${safeTickNumber}`);
+      }
+      return tick;
     } catch (error) {
       console.error('Error in getLatestTick:', error.message);
-      // Return a valid placeholder that won't break DEXTools
-      return { 
-        tickNumber: 0, 
-        timestamp: Math.floor(Date.now() / 1000),
-        error: 'Failed to retrieve latest tick'
-      };
+      return null;
     }
   }
 
   // Get a specific tick by number
+  // Resolves with the exact tick, or null if the tick is not part of any epoch's tick list.
+  // Upstream failures are thrown, so a missing answer is never mistaken for a missing tick
   async getTickByNumber(tickNumber) {
-    try {
-      // Check cache first
-      if (this.cache.ticks[tickNumber]) {
-        console.log(`Using cached data for tick ${tickNumber}`);
-        return this.cache.ticks[tickNumber];
-      }
-      
-      // First try to get the tick directly by estimating the page
-      const pageSize = 10000; // INCREASED from 500 to 10000 for better performance
-      const estimatedPage = Math.floor(tickNumber / pageSize);
-      const currentEpoch = await this.getCurrentEpoch();
-      
-      console.log(`Trying to find tick ${tickNumber} with estimated page ${estimatedPage}`);
-      
-      // Try with direct target page first in current epoch
-      try {
-        const ticksResponse = await this.handleRequest(
-          `/v2/epochs/${currentEpoch}/ticks`,
-          { page: estimatedPage, pageSize }
-        );
-        
-        if (ticksResponse && ticksResponse.ticks && Array.isArray(ticksResponse.ticks)) {
-          // Check if our tick is in this page
-          const targetTick = ticksResponse.ticks.find(t => 
-            (t.tickNumber || t.number) === tickNumber
-          );
-          
-          if (targetTick) {
-            console.log(`Found tick ${tickNumber} in current epoch ${currentEpoch} on estimated page ${estimatedPage}`);
-            const normalizedTick = this.normalizeTickData(targetTick);
-            // Cache it
-            this.cache.ticks[tickNumber] = normalizedTick;
-            return normalizedTick;
-          }
-          
-          // Our tick isn't here, but maybe we can get information about the range
-          if (ticksResponse.ticks.length > 0) {
-            const pageTickNumbers = ticksResponse.ticks.map(t => t.tickNumber || t.number);
-            const minTickInPage = Math.min(...pageTickNumbers);
-            const maxTickInPage = Math.max(...pageTickNumbers);
-            
-            console.log(`Page ${estimatedPage} contains ticks from ${minTickInPage} to ${maxTickInPage}`);
-            
-            // If our target is less than the minimum, try earlier pages
-            if (tickNumber < minTickInPage) {
-              // Try a few pages before
-              for (let pageOffset = 1; pageOffset <= 5; pageOffset++) {
-                const earlierPage = Math.max(0, estimatedPage - pageOffset);
-                console.log(`Trying earlier page ${earlierPage}`);
-                
-                try {
-                  const earlierResponse = await this.handleRequest(
-                    `/v2/epochs/${currentEpoch}/ticks`,
-                    { page: earlierPage, pageSize }
-                  );
-                  
-                  if (earlierResponse && earlierResponse.ticks && Array.isArray(earlierResponse.ticks)) {
-                    const targetTick = earlierResponse.ticks.find(t => 
-                      (t.tickNumber || t.number) === tickNumber
-                    );
-                    
-                    if (targetTick) {
-                      console.log(`Found tick ${tickNumber} on earlier page ${earlierPage}`);
-                      const normalizedTick = this.normalizeTickData(targetTick);
-                      // Cache it
-                      this.cache.ticks[tickNumber] = normalizedTick;
-                      return normalizedTick;
-                    }
-                  }
-                } catch (pageError) {
-                  console.warn(`Error checking earlier page ${earlierPage}: ${pageError.message}`);
-                }
-              }
-            }
-            
-            // If our target is greater than the maximum, try later pages
-            if (tickNumber > maxTickInPage) {
-              // Try a few pages after
-              for (let pageOffset = 1; pageOffset <= 5; pageOffset++) {
-                const laterPage = estimatedPage + pageOffset;
-                console.log(`Trying later page ${laterPage}`);
-                
-                try {
-                  const laterResponse = await this.handleRequest(
-                    `/v2/epochs/${currentEpoch}/ticks`,
-                    { page: laterPage, pageSize }
-                  );
-                  
-                  if (laterResponse && laterResponse.ticks && Array.isArray(laterResponse.ticks)) {
-                    const targetTick = laterResponse.ticks.find(t => 
-                      (t.tickNumber || t.number) === tickNumber
-                    );
-                    
-                    if (targetTick) {
-                      console.log(`Found tick ${tickNumber} on later page ${laterPage}`);
-                      const normalizedTick = this.normalizeTickData(targetTick);
-                      // Cache it
-                      this.cache.ticks[tickNumber] = normalizedTick;
-                      return normalizedTick;
-                    }
-                  }
-                } catch (pageError) {
-                  console.warn(`Error checking later page ${laterPage}: ${pageError.message}`);
-                }
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(`Error fetching estimated page ${estimatedPage}: ${error.message}`);
-      }
-      
-      // If we didn't find the tick with the targeted approach, check previous epochs
-      // Instead of scanning ALL ticks in the epoch, use a binary search-like approach
-      for (let epochOffset = 1; epochOffset <= 5; epochOffset++) {
-        const prevEpoch = currentEpoch - epochOffset;
-        if (prevEpoch < 0) continue;
-        
-        console.log(`Checking previous epoch ${prevEpoch} for tick ${tickNumber}`);
-        
-        // Try the same estimated page in the previous epoch
-        try {
-          const prevEpochResponse = await this.handleRequest(
-            `/v2/epochs/${prevEpoch}/ticks`,
-            { page: estimatedPage, pageSize }
-          );
-          
-          if (prevEpochResponse && prevEpochResponse.ticks && Array.isArray(prevEpochResponse.ticks)) {
-            // Check if our tick is in this page
-            const targetTick = prevEpochResponse.ticks.find(t => 
-              (t.tickNumber || t.number) === tickNumber
-            );
-            
-            if (targetTick) {
-              console.log(`Found tick ${tickNumber} in previous epoch ${prevEpoch}`);
-              const normalizedTick = this.normalizeTickData(targetTick);
-              // Cache it
-              this.cache.ticks[tickNumber] = normalizedTick;
-              return normalizedTick;
-            }
-            
-            // Try binary search in this epoch if we got some ticks
-            if (prevEpochResponse.ticks.length > 0) {
-              const nearestTick = await this.findNearestTickWithBinarySearch(prevEpoch, tickNumber);
-              if (nearestTick) {
-                console.log(`Found nearest tick ${nearestTick.tickNumber} in previous epoch ${prevEpoch}`);
-                // Cache this nearest match
-                this.cache.ticks[tickNumber] = nearestTick;
-                return nearestTick;
-              }
-            }
-          }
-        } catch (epochError) {
-          console.warn(`Error checking previous epoch ${prevEpoch}: ${epochError.message}`);
-        }
-      }
-      
-      // If we couldn't find the tick in recent epochs, return a placeholder
-      console.log(`Could not find tick ${tickNumber} in any epoch, returning placeholder`);
-      const placeholderTick = {
-        tickNumber: tickNumber,
-        timestamp: Date.now()
-      };
-      return placeholderTick;
-    } catch (error) {
-      console.error(`Error getting tick ${tickNumber}:`, error.message);
-      return {
-        tickNumber: tickNumber,
-        timestamp: Date.now(),
-        error: error.message
-      };
+    // Check cache first
+    const cachedTick = this.cache.get(`tick:${tickNumber}`);
+    if (cachedTick && (cachedTick.isEmpty || cachedTick.timestamp)) {
+      console.log(`Using cached data for tick ${tickNumber}`);
+      return cachedTick;
     }
+    
+    // Then the local store of finalized ticks
+    const storedTick = localStore.getTick(tickNumber);
+    if (storedTick && (storedTick.isEmpty || storedTick.timestamp)) {
+      console.log(`Using stored data for tick ${tickNumber}`);
+      this.cache.set(`tick:${tickNumber}`, storedTick, { finalized: true });
+      return storedTick;
+    }
+    
+    const epoch = await this.findEpochForTick(tickNumber);
+    if (epoch === null) {
+      return null;
+    }
+    
+    const located = await this.locateTickPage(epoch, tickNumber);
+    const listedTick = located && located.ticks.find(t => t.tickNumber === tickNumber);
+    if (!listedTick) {
+      console.log(`Tick ${tickNumber} is not listed in epoch ${epoch}`);
+      return null;
+    }
+    
+    console.log(`Found tick ${tickNumber} in epoch ${epoch} on page ${located.page}`);
+    return this.resolveTick({ ...listedTick, epoch });
   }
 
-  // Helper method to find nearest tick using binary search approach
-  async findNearestTickWithBinarySearch(epoch, targetTickNumber, maxAttempts = 8) {
-    console.log(`Using binary search to find nearest tick to ${targetTickNumber} in epoch ${epoch}`);
-    const pageSize = 10000; // INCREASED from 500 to 10000 for better performance
+  // Complete a tick list entry with its timestamp from the tick endpoint
+  // Tick lists don't carry timestamps, and a block without one can't be served
+  async resolveTick(listedTick) {
+    if (listedTick.isEmpty || listedTick.timestamp) {
+      this.cacheTick(listedTick);
+      this.timestampIndex.record(listedTick);
+      return listedTick;
+    }
     
-    // Start with page 0 to establish minimum
-    let lowPage = 0;
-    let highPage = 1000; // Arbitrary high number to start
-    let attempts = 0;
-    let bestMatch = null;
-    let bestMatchDistance = Infinity;
+    const details = await this.handleRequest(`/v2/ticks/${listedTick.tickNumber}`);
+    const tick = this.normalizeTickData({ ...listedTick, ...details });
+    if (!tick.timestamp) {
+      throw new Error(`Tick ${listedTick.tickNumber} has no timestamp upstream`);
+    }
     
-    while (attempts < maxAttempts) {
-      attempts++;
-      const midPage = Math.floor((lowPage + highPage) / 2);
-      
-      try {
-        console.log(`Binary search attempt ${attempts}: checking page ${midPage}`);
-        const response = await this.handleRequest(
-          `/v2/epochs/${epoch}/ticks`,
-          { page: midPage, pageSize }
-        );
-        
-        if (response && response.ticks && Array.isArray(response.ticks) && response.ticks.length > 0) {
-          // Get tick numbers in this page
-          const tickNumbers = response.ticks.map(t => t.tickNumber || t.number);
-          const minTickInPage = Math.min(...tickNumbers);
-          const maxTickInPage = Math.max(...tickNumbers);
-          
-          // Check if our target is in this page
-          if (targetTickNumber >= minTickInPage && targetTickNumber <= maxTickInPage) {
-            // Found the exact page, look for exact match or nearest
-            const exactMatch = response.ticks.find(t => (t.tickNumber || t.number) === targetTickNumber);
-            if (exactMatch) {
-              return this.normalizeTickData(exactMatch);
-            }
-            
-            // Find nearest match in this page
-            let nearestInPage = response.ticks[0];
-            let nearestDistance = Math.abs((nearestInPage.tickNumber || nearestInPage.number) - targetTickNumber);
-            
-            for (const tick of response.ticks) {
-              const distance = Math.abs((tick.tickNumber || tick.number) - targetTickNumber);
-              if (distance < nearestDistance) {
-                nearestInPage = tick;
-                nearestDistance = distance;
-              }
-            }
-            
-            return this.normalizeTickData(nearestInPage);
-          }
-          
-          // Update our best match if we found a closer tick
-          for (const tick of response.ticks) {
-            const distance = Math.abs((tick.tickNumber || tick.number) - targetTickNumber);
-            if (distance < bestMatchDistance) {
-              bestMatch = tick;
-              bestMatchDistance = distance;
-            }
-          }
-          
-          // Adjust our search range
-          if (targetTickNumber < minTickInPage) {
-            highPage = midPage - 1;
-          } else {
-            lowPage = midPage + 1;
-          }
-        } else {
-          // No ticks in this page, try a different strategy
-          highPage = midPage - 1;
+    this.cacheTick(tick);
+    this.timestampIndex.record(tick);
+    return tick;
+  }
+
+  // Ids of the transactions a tick includes, from the tick endpoint; upstream failures are thrown
+  async getTickTransactionIds(tickNumber) {
+    const details = await this.handleRequest(`/v2/ticks/${tickNumber}`);
+    if (!details || !Array.isArray(details.transactionIds)) {
+      throw new Error(`Tick ${tickNumber} lists no transaction ids upstream`);
+    }
+    return details.transactionIds;
+  }
+
+  // Newest non-empty tick at or before `tickNumber` within its epoch, or null
+  // Ticks at or below `floorTick` are not considered
+  async findNewestTickAtOrBefore(tickNumber, { epoch = null, floorTick = -Infinity } = {}) {
+    if (epoch === null) {
+      epoch = await this.findEpochForTick(tickNumber);
+      if (epoch === null) {
+        return null;
+      }
+    }
+    
+    const located = await this.locateTickPage(epoch, tickNumber);
+    if (!located) {
+      return null;
+    }
+    
+    // Walk back a few pages at most; a longer run of empty ticks means something is wrong upstream
+    let { page, ticks } = located;
+    for (let pagesChecked = 0; pagesChecked < 3 && page >= 0; pagesChecked++) {
+      for (let i = ticks.length - 1; i >= 0; i--) {
+        if (ticks[i].tickNumber <= floorTick) {
+          return null;
         }
-      } catch (error) {
-        console.warn(`Error in binary search page ${midPage}: ${error.message}`);
-        // If we hit an error, just skip this page
-        if (midPage < (lowPage + highPage) / 2) {
-          lowPage = midPage + 1;
-        } else {
-          highPage = midPage - 1;
+        if (ticks[i].tickNumber <= tickNumber && !ticks[i].isEmpty) {
+          return this.resolveTick({ ...ticks[i], epoch });
         }
       }
       
-      // Break if our search range is invalid
-      if (lowPage > highPage) {
-        break;
-      }
+      page--;
+      ticks = page >= 0 ? await this.getEpochTickPage(epoch, page) : [];
     }
     
-    // Return the best match we found, if any
-    if (bestMatch) {
-      return this.normalizeTickData(bestMatch);
+    return null;
+  }
+
+  // First non-empty tick of an epoch, or null
+  async findFirstNonEmptyTick(epoch) {
+    for (let page = 0; page < 3; page++) {
+      const ticks = await this.getEpochTickPage(epoch, page);
+      const firstTick = ticks.find(tick => !tick.isEmpty);
+      if (firstTick) {
+        return this.resolveTick({ ...firstTick, epoch });
+      }
+      if (ticks.length < this.TICK_LOOKUP_PAGE_SIZE) break;
     }
     
     return null;
   }
 
-  // Get ticks from a specific block range - crucial for DEXTools HTTP adapter
-  async getTicksInBlockRange(fromBlock, toBlock, maxResults = Infinity) {
-    try {
-      console.log(`Getting ticks in block range ${fromBlock}-${toBlock}, max results: ${maxResults === Infinity ? 'unlimited' : maxResults}`);
-      
-      // Calculate actual max results based on range size
-      const rangeSize = toBlock - fromBlock + 1;
-      const actualMaxResults = Math.min(maxResults, rangeSize);
-      
-      // Collect all valid ticks in this range
-      const validTicks = [];
-      const pageSize = 10000; // INCREASED from 500 to 10000 for better performance
-      const currentEpoch = await this.getCurrentEpoch();
-      
-      // Use a targeted approach instead of scanning all ticks
-      const fromBlockPage = Math.floor(fromBlock / pageSize);
-      const toBlockPage = Math.floor(toBlock / pageSize);
-      const pagesToCheck = Math.min(10, toBlockPage - fromBlockPage + 1); // Limit to 10 pages max for performance
-      
-      console.log(`Target pages ${fromBlockPage} to ${toBlockPage} (${pagesToCheck} pages) in current epoch ${currentEpoch}`);
-      
-      // First check current epoch with targeted pages
-      for (let page = fromBlockPage; page <= toBlockPage && validTicks.length < actualMaxResults && page < fromBlockPage + pagesToCheck; page++) {
-        try {
-          console.log(`Checking page ${page} for ticks in range ${fromBlock}-${toBlock}`);
-          const ticksResponse = await this.handleRequest(
-            `/v2/epochs/${currentEpoch}/ticks`,
-            { page, pageSize }
-          );
-          
-          if (ticksResponse && ticksResponse.ticks && Array.isArray(ticksResponse.ticks) && ticksResponse.ticks.length > 0) {
-            // Filter ticks in the requested range
-            const ticksInRange = ticksResponse.ticks.filter(tick => {
-              const tickNumber = tick.tickNumber || tick.number;
-              return tickNumber >= fromBlock && tickNumber <= toBlock;
-            });
-            
-            if (ticksInRange.length > 0) {
-              console.log(`Found ${ticksInRange.length} ticks in range ${fromBlock}-${toBlock} on page ${page}`);
-              
-              // Add these ticks to our result set
-              for (const tick of ticksInRange) {
-                if (validTicks.length >= actualMaxResults) break;
-                const normalizedTick = this.normalizeTickData(tick);
-                validTicks.push(normalizedTick);
-                
-                // Also cache individual ticks
-                this.cache.ticks[normalizedTick.tickNumber] = normalizedTick;
-              }
-            }
-          }
-        } catch (error) {
-          console.warn(`Error fetching page ${page} in current epoch: ${error.message}`);
-        }
-      }
-      
-      // If we didn't find enough ticks in the current epoch, try previous epochs
-      if (validTicks.length < actualMaxResults) {
-        // Try a few previous epochs
-        for (let epochOffset = 1; epochOffset <= 5 && validTicks.length < actualMaxResults; epochOffset++) {
-          const prevEpoch = currentEpoch - epochOffset;
-          if (prevEpoch < 0) continue;
-          
-          console.log(`Checking previous epoch ${prevEpoch} for ticks in range ${fromBlock}-${toBlock}`);
-          
-          // Try the same page range in previous epoch
-          for (let page = fromBlockPage; page <= toBlockPage && validTicks.length < actualMaxResults && page < fromBlockPage + pagesToCheck; page++) {
-            try {
-              const ticksResponse = await this.handleRequest(
-                `/v2/epochs/${prevEpoch}/ticks`,
-                { page, pageSize }
-              );
-              
-              if (ticksResponse && ticksResponse.ticks && Array.isArray(ticksResponse.ticks) && ticksResponse.ticks.length > 0) {
-                // Filter ticks in the requested range
-                const ticksInRange = ticksResponse.ticks.filter(tick => {
-                  const tickNumber = tick.tickNumber || tick.number;
-                  return tickNumber >= fromBlock && tickNumber <= toBlock;
-                });
-                
-                if (ticksInRange.length > 0) {
-                  console.log(`Found ${ticksInRange.length} ticks in range ${fromBlock}-${toBlock} in epoch ${prevEpoch} page ${page}`);
-                  
-                  // Add these ticks to our result set
-                  for (const tick of ticksInRange) {
-                    if (validTicks.length >= actualMaxResults) break;
-                    const normalizedTick = this.normalizeTickData(tick);
-                    validTicks.push(normalizedTick);
-                    
-                    // Also cache individual ticks
-                    this.cache.ticks[normalizedTick.tickNumber] = normalizedTick;
-                  }
-                }
-              }
-            } catch (error) {
-              console.warn(`Error fetching page ${page} in epoch ${prevEpoch}: ${error.message}`);
-            }
-          }
-        }
-      }
-      
-      // If we still don't have any valid ticks and the range is small, 
-      // try to find at least one tick in the range by targeting the middle
-      if (validTicks.length === 0 && rangeSize <= 1000) {
-        const middleBlock = Math.floor((fromBlock + toBlock) / 2);
-        console.log(`No ticks found yet, trying to find middle block ${middleBlock}`);
-        
-        try {
-          const middleTick = await this.getTickByNumber(middleBlock);
-          if (middleTick && !middleTick.error) {
-            console.log(`Found middle tick ${middleTick.tickNumber}`);
-            validTicks.push(middleTick);
-          }
-        } catch (error) {
-          console.warn(`Error finding middle block: ${error.message}`);
-        }
-      }
-      
-      // If we still don't have any valid ticks, return an empty array
-      // This is better than returning random recent ticks that aren't in the requested range
-      if (validTicks.length === 0) {
-        console.log(`No ticks found in requested range ${fromBlock}-${toBlock}`);
-        return [];
-      }
-      
-      // Sort by tick number
-      validTicks.sort((a, b) => a.tickNumber - b.tickNumber);
-      
-      console.log(`Returning ${validTicks.length} ticks for range ${fromBlock}-${toBlock}`);
-      return validTicks;
-    } catch (error) {
-      console.error(`Error getting ticks in block range ${fromBlock}-${toBlock}:`, error.message);
-      return [];
+  // Get one page of an epoch's tick list, ascending by tick number
+  async getEpochTickPage(epoch, page) {
+    const cacheKey = `tickPage:${epoch}:${page}`;
+    const cachedPage = this.cache.get(cacheKey);
+    if (cachedPage) {
+      return cachedPage;
+    }
+    
+    const response = await this.handleRequest(
+      `/v2/epochs/${epoch}/ticks`,
+      { page, pageSize: this.TICK_LOOKUP_PAGE_SIZE }
+    );
+    if (!response || !Array.isArray(response.ticks)) {
+      throw new Error(`Invalid tick list response for epoch ${epoch} page ${page}`);
     }
+    
+    const ticks = response.ticks
+      .map(tick => this.normalizeTickData(tick))
+      .sort((a, b) => a.tickNumber - b.tickNumber);
+    
+    // Only the last page of the current epoch still grows
+    const finalized = this.isFinalizedEpoch(epoch) || ticks.length === this.TICK_LOOKUP_PAGE_SIZE;
+    this.cache.set(cacheKey, ticks, { finalized });
+    return ticks;
   }
 
-  // Get the most recent valid ticks directly from epoch data
-  async getRecentValidTicks(count = 10) {
-    try {
-      // Get current epoch
-      const currentEpoch = await this.getCurrentEpoch();
-      
-      const validTicks = [];
-      const pageSize = 10000; // INCREASED from 500 to 10000 for better performance
-      
-      // Just get the first page of ticks for the most recent ones
-      console.log(`Getting recent ticks from epoch ${currentEpoch}`);
-      
-      try {
-        const ticksResponse = await this.handleRequest(
-          `/v2/epochs/${currentEpoch}/ticks`,
-          { page: 0, pageSize }
-        );
-        
-        if (ticksResponse && ticksResponse.ticks && Array.isArray(ticksResponse.ticks) && ticksResponse.ticks.length > 0) {
-          console.log(`Found ${ticksResponse.ticks.length} ticks in epoch ${currentEpoch}`);
-          
-          // Sort by tick number (descending) to get most recent first
-          const sortedTicks = ticksResponse.ticks.sort((a, b) => {
-            return (b.tickNumber || b.number) - (a.tickNumber || a.number);
-          });
-          
-          // Take the first 'count' ticks
-          for (let i = 0; i < Math.min(count, sortedTicks.length); i++) {
-            const normalizedTick = this.normalizeTickData(sortedTicks[i]);
-            validTicks.push(normalizedTick);
-            
-            // Also cache individual ticks
-            this.cache.ticks[normalizedTick.tickNumber] = normalizedTick;
-          }
-        }
-      } catch (error) {
-        console.warn(`Error getting ticks for epoch ${currentEpoch}: ${error.message}`);
-        
-        // Try previous epoch if current fails
-        if (currentEpoch > 0) {
-          const prevEpoch = currentEpoch - 1;
-          console.log(`Trying previous epoch ${prevEpoch}`);
-          
-          try {
-            const prevTicksResponse = await this.handleRequest(
-              `/v2/epochs/${prevEpoch}/ticks`,
-              { page: 0, pageSize }
-            );
-            
-            if (prevTicksResponse && prevTicksResponse.ticks && Array.isArray(prevTicksResponse.ticks)) {
-              const sortedTicks = prevTicksResponse.ticks.sort((a, b) => {
-                return (b.tickNumber || b.number) - (a.tickNumber || a.number);
-              });
-              
-              for (let i = 0; i < Math.min(count - validTicks.length, sortedTicks.length); i++) {
-                const normalizedTick = this.normalizeTickData(sortedTicks[i]);
-                validTicks.push(normalizedTick);
-                this.cache.ticks[normalizedTick.tickNumber] = normalizedTick;
-              }
-            }
-          } catch (prevError) {
-            console.warn(`Error getting ticks for previous epoch ${prevEpoch}: ${prevError.message}`);
-          }
-        }
+  /**
+   * Find the page of an epoch's tick list that covers `tickNumber`
+   *
+   * Tick lists are ordered from the epoch's initial tick. Without gaps a tick sits at
+   * offset `tickNumber - initialTick`; ticks the archiver skipped only move it to an
+   * earlier position, so the page computed from the offset is an upper bound and a
+   * binary search over the pages up to it finds the right one in O(log pages) fetches.
+   *
+   * Resolves with { page, ticks } for the page whose range contains the tick, or the
+   * page just before the position where it would be listed. Null if the tick is
+   * outside the epoch's indexed range.
+   */
+  async locateTickPage(epoch, tickNumber) {
+    const range = this.epochIndex.getRange(epoch);
+    if (!range || tickNumber < range.initialTick || tickNumber > range.finalTick) {
+      return null;
+    }
+    
+    const pageSize = this.TICK_LOOKUP_PAGE_SIZE;
+    let low = 0;
+    let high = Math.floor((tickNumber - range.initialTick) / pageSize);
+    let page = high;
+    const fetched = new Map();
+    const maxAttempts = Math.ceil(Math.log2(high + 1)) + 2;
+    
+    for (let attempt = 0; attempt < maxAttempts && low <= high; attempt++) {
+      const ticks = await this.getEpochTickPage(epoch, page);
+      fetched.set(page, ticks);
+      
+      if (ticks.length === 0 || tickNumber < ticks[0].tickNumber) {
+        high = page - 1;
+      } else if (tickNumber > ticks[ticks.length - 1].tickNumber && ticks.length === pageSize) {
+        low = page + 1;
+      } else {
+        return { page, ticks };
       }
       
-      // Sort by tick number (descending)
-      validTicks.sort((a, b) => b.tickNumber - a.tickNumber);
-      
-      return validTicks;
-    } catch (error) {
-      console.error('Failed to get recent valid ticks:', error.message);
-      return [];
+      page = Math.floor((low + high) / 2);
+    }
+    
+    if (low <= high) {
+      throw new Error(`Could not locate tick ${tickNumber} in epoch ${epoch} within ${maxAttempts} page fetches`);
     }
+    
+    // The tick falls between two pages (or before the first listed tick)
+    const previousPage = Math.max(0, high);
+    const ticks = fetched.get(previousPage) || await this.getEpochTickPage(epoch, previousPage);
+    return { page: previousPage, ticks };
   }
 
-  // Get tick by timestamp using epoch data
-  async getTickByTimestamp(timestamp) {
-    try {
-      console.log(`Searching for tick with timestamp <= ${timestamp}`);
-      
-      // Get current epoch
-      const currentEpoch = await this.getCurrentEpoch();
-      
-      // Start checking from current epoch downward
-      for (let epoch = currentEpoch; epoch >= 0; epoch--) {
-        console.log(`Checking ticks in epoch ${epoch} for timestamp <= ${timestamp}`);
-        
-        const ticksInEpoch = await this.getAllTicksFromEpoch(epoch);
-        
-        if (ticksInEpoch && ticksInEpoch.length > 0) {
-          // Sort by timestamp (descending)
-          const sortedByTimestamp = [...ticksInEpoch].sort((a, b) => b.timestamp - a.timestamp);
-          
-          // Find the newest tick with timestamp <= requested timestamp
-          for (const tick of sortedByTimestamp) {
-            const tickTimestamp = tick.timestamp || 0;
-            
-            if (tickTimestamp <= timestamp) {
-              console.log(`Found matching tick: ${tick.tickNumber} with timestamp ${tickTimestamp}`);
-              return tick;
-            }
-          }
+  // Get ticks from a specific block range - crucial for DEXTools HTTP adapter
+  // Upstream failures are thrown rather than returning a range with silent holes
+  async getTicksInBlockRange(fromBlock, toBlock, maxResults = Infinity) {
+    console.log(`Getting ticks in block range ${fromBlock}-${toBlock}, max results: ${maxResults === Infinity ? 'unlimited' : maxResults}`);
+    
+    // Calculate actual max results based on range size
+    const rangeSize = toBlock - fromBlock + 1;
+    const actualMaxResults = Math.min(maxResults, rangeSize);
+    
+    const validTicks = [];
+    const ranges = await this.epochIndex.getRangesOverlapping(fromBlock, toBlock);
+    
+    for (const range of ranges) {
+      const startTick = Math.max(fromBlock, range.initialTick);
+      const endTick = Math.min(toBlock, range.finalTick);
+      
+      // Locate the first page once, then read the following pages in order
+      let { page, ticks } = await this.locateTickPage(range.epoch, startTick);
+      while (validTicks.length < actualMaxResults) {
+        for (const tick of ticks) {
+          if (tick.tickNumber < startTick || tick.tickNumber > endTick) continue;
+          if (validTicks.length >= actualMaxResults) break;
+          validTicks.push({ ...tick, epoch: range.epoch });
         }
         
-        // If no matches in this epoch and we've gone 5 epochs back, stop searching
-        if (currentEpoch - epoch >= 5) {
+        const lastTick = ticks[ticks.length - 1];
+        if (ticks.length < this.TICK_LOOKUP_PAGE_SIZE || !lastTick || lastTick.tickNumber >= endTick) {
           break;
         }
+        
+        page++;
+        ticks = await this.getEpochTickPage(range.epoch, page);
       }
-      
-      // If we got here, we couldn't find a matching tick
-      console.warn(`Could not find any tick with timestamp <= ${timestamp}, returning latest tick`);
-      return this.getLatestTick();
-    } catch (error) {
-      console.error(`Error in getTickByTimestamp:`, error.message);
-      // Return the latest tick as a fallback
-      console.warn('Returning latest tick as fallback due to error');
-      return this.getLatestTick();
     }
+    
+    console.log(`Returning ${validTicks.length} ticks for range ${fromBlock}-${toBlock}`);
+    return validTicks;
+  }
+
+  // Get the newest tick at or before a timestamp in seconds, as used for DEXTools blocks
+  // Resolves with null for timestamps before the first indexed epoch; upstream failures are thrown
+  async getTickByTimestamp(timestamp) {
+    console.log(`Searching for tick with timestamp <= ${timestamp}`);
+    
+    if (this.epochIndex.getAll().length === 0) {
+      await this.epochIndex.refresh({ force: true });
+    }
+    
+    // Block timestamps are whole seconds, tick timestamps milliseconds
+    const match = await this.timestampIndex.findTickAtOrBeforeTimestamp(timestamp * 1000 + 999);
+    if (!match) {
+      console.log(`No tick at or before timestamp ${timestamp}`);
+      return null;
+    }
+    
+    console.log(`Found tick ${match.tickNumber} for timestamp ${timestamp}`);
+    return this.getTickByNumber(match.tickNumber);
   }
 
   // ========== Asset/Token Methods ==========
   
-  // Get token/identity details using the API
-  async getAssetById(id) {
-    try {
-      // Define possible endpoints to try - starting with the most likely to work
-      const possibleEndpoints = [
-        `/v1/assets/${id}`,         // Try standard v1 endpoint
-        `/v2/assets/${id}`,         // Try standard v2 endpoint
-        `/assets/v1/${id}`,         // Try alternative format
-        `/assets/v2/${id}`,         // Try alternative format
-      ];
-      
-      // Try each endpoint until we get a success
-      for (const endpoint of possibleEndpoints) {
-        try {
-          console.log(`Trying asset endpoint: ${endpoint}`);
-          const assetData = await this.handleRequest(endpoint);
-          
-          // If we have valid data, return it
-          if (assetData && assetData.id) {
-            return {
-              id: assetData.id,
-              name: assetData.name || `Asset ${assetData.id.substring(0, 8)}`,
-              symbol: assetData.symbol || assetData.id.substring(0, 4).toUpperCase(),
-              totalSupply: (assetData.totalSupply || "0").toString(),
-              circulatingSupply: (assetData.circulatingSupply || "0").toString(),
-              holdersCount: assetData.holdersCount || 0
-            };
-          }
-        } catch (endpointError) {
-          console.warn(`Asset endpoint ${endpoint} failed: ${endpointError.message}`);
-          // Continue to the next endpoint
-        }
-      }
-      
-      // Try identity endpoints as a fallback
-      const identityEndpoints = [
-        `/v1/identities/${id}`,     // Try standard v1 endpoint
-        `/v2/identities/${id}`,     // Try standard v2 endpoint
-        `/identities/v1/${id}`,     // Try alternative format
-        `/identities/v2/${id}`      // Try alternative format
-      ];
-      
-      for (const endpoint of identityEndpoints) {
-        try {
-          console.log(`Trying identity endpoint: ${endpoint}`);
-          const identityData = await this.handleRequest(endpoint);
-          
-          if (identityData && identityData.id) {
-            return {
-              id: identityData.id,
-              name: identityData.name || `Asset ${identityData.id.substring(0, 8)}`,
-              symbol: identityData.symbol || identityData.id.substring(0, 4).toUpperCase(),
-              totalSupply: (identityData.totalSupply || "0").toString(),
-              circulatingSupply: (identityData.circulatingSupply || "0").toString(),
-              holdersCount: identityData.holdersCount || 0
-            };
-          }
-        } catch (endpointError) {
-          console.warn(`Identity endpoint ${endpoint} failed: ${endpointError.message}`);
-          // Continue to the next endpoint
-        }
-      }
-      
-      // If no data is available, return null - do not mock
-      console.warn(`No asset or identity data found for id ${id}`);
-      return null;
-    } catch (err) {
-      console.error(`Failed to get asset data for ${id}:`, err.message);
-      // Return null if the API call fails - do not mock
+  // Issuance record of a Qubic asset: { issuer, name, numberOfDecimalPlaces, unitOfMeasurement, tickNumber }
+  // Resolves with null if the asset was never issued; upstream failures are thrown
+  async getAssetIssuance(issuer, name) {
+    return this.singleFlight.do(
+      `assetIssuance:${issuer}.${name}`,
+      () => this._getAssetIssuance(issuer, name)
+    );
+  }
+
+  async _getAssetIssuance(issuer, name) {
+    const cacheKey = `assetIssuance:${issuer}.${name}`;
+    const cachedIssuance = this.cache.get(cacheKey);
+    if (cachedIssuance) {
+      return cachedIssuance;
+    }
+    
+    // An issuance never changes, so a stored one is final
+    const storedIssuance = localStore.getAssetIssuance(issuer, name);
+    if (storedIssuance) {
+      this.cache.set(cacheKey, storedIssuance, { finalized: true });
+      return storedIssuance;
+    }
+    
+    const result = await this.routes.request('assetIssuances', {}, { issuerIdentity: issuer, assetName: name });
+    const entry = result && result.data.assets.find(asset =>
+      asset.data && asset.data.issuerIdentity === issuer && asset.data.name === name
+    );
+    if (!entry) {
       return null;
     }
+    
+    const issuance = {
+      issuer,
+      name,
+      numberOfDecimalPlaces: Number(entry.data.numberOfDecimalPlaces) || 0,
+      unitOfMeasurement: Array.isArray(entry.data.unitOfMeasurement) ? entry.data.unitOfMeasurement.join(',') : null,
+      tickNumber: entry.info && entry.info.tick !== undefined ? Number(entry.info.tick) : null
+    };
+    this.cache.set(cacheKey, issuance, { finalized: true });
+    localStore.putAssetIssuance(issuance);
+    return issuance;
+  }
+  
+  // Ownership records of a Qubic asset: [{ owner, numberOfUnits, managingContractIndex }]
+  // Units are integer strings; upstream failures are thrown
+  async getAssetOwnerships(issuer, name) {
+    return this.singleFlight.do(
+      `assetOwnerships:${issuer}.${name}`,
+      () => this._getAssetOwnerships(issuer, name)
+    );
   }
 
-  // Get token holders
-  async getAssetHolders(id, page = 0, pageSize = 10) {
-    try {
-      // Define possible endpoints to try - starting with the most likely to work
-      const possibleEndpoints = [
-        `/v1/assets/${id}/holders`,      // Try standard v1 endpoint 
-        `/v2/assets/${id}/holders`,      // Try standard v2 endpoint
-        `/assets/v1/${id}/holders`,      // Try alternative format
-        `/assets/v2/${id}/holders`,      // Try alternative format
-        `/v1/identities/${id}/holders`,  // Try identity endpoints
-        `/v2/identities/${id}/holders`,
-        `/identities/v1/${id}/holders`,
-        `/identities/v2/${id}/holders`
-      ];
-      
-      for (const endpoint of possibleEndpoints) {
-        try {
-          console.log(`Trying holders endpoint: ${endpoint}`);
-          const holdersData = await this.handleRequest(endpoint, {
-            page: page,
-            size: pageSize
-          });
-          
-          // Only return real data if we have it
-          if (holdersData && Array.isArray(holdersData.holders)) {
-            return {
-              holders: holdersData.holders.map(holder => ({
-                address: holder.address,
-                quantity: holder.balance || holder.quantity || 0
-              })),
-              totalCount: holdersData.totalCount || holdersData.holders.length
-            };
-          }
-        } catch (endpointError) {
-          console.warn(`Holders endpoint ${endpoint} failed: ${endpointError.message}`);
-          // Continue to the next endpoint
-        }
-      }
-      
-      // If no data is available, return empty array - do not mock
-      console.warn(`No holders data found for asset ${id}`);
-      return {
-        holders: [],
-        totalCount: 0
-      };
-    } catch (err) {
-      console.error(`Failed to get holders for asset ${id}:`, err.message);
-      // Return empty array if the API call fails - do not mock
-      return {
-        holders: [],
-        totalCount: 0
-      };
+  async _getAssetOwnerships(issuer, name) {
+    const cacheKey = `assetOwnerships:${issuer}.${name}`;
+    const cachedOwnerships = this.cache.get(cacheKey);
+    if (cachedOwnerships) {
+      return cachedOwnerships;
     }
+    
+    const result = await this.routes.request('assetOwnerships', {}, { issuerIdentity: issuer, assetName: name });
+    if (!result) {
+      throw new Error(`No ownerships route answered for asset ${issuer}.${name}`);
+    }
+    
+    const ownerships = result.data.assets
+      .filter(entry => entry.data && entry.data.ownerIdentity)
+      .map(entry => ({
+        owner: entry.data.ownerIdentity,
+        numberOfUnits: String(entry.data.numberOfUnits || 0),
+        managingContractIndex: Number(entry.data.managingContractIndex) || 0
+      }));
+    // Balances change with every transfer, so they are only cached for the mutable TTL
+    this.cache.set(cacheKey, ownerships);
+    return ownerships;
+  }
+  
+  // One page of the identities holding QU, largest balance first (0-based page):
+  // { holders: [{ address, quantity }], totalCount }, quantities in integer QU; upstream failures are thrown
+  async getRichList(page, pageSize) {
+    return this.singleFlight.do(`richList:${page}:${pageSize}`, () => this._getRichList(page, pageSize));
   }
 
-  // Get asset/token transfers
-  async getAssetTransfers(id, page = 0, pageSize = 20) {
-    try {
-      const possibleEndpoints = [
-        `/v1/assets/${id}/transfers`,      // Try standard v1 endpoint
-        `/v2/assets/${id}/transfers`,      // Try standard v2 endpoint
-        `/assets/v1/${id}/transfers`,      // Try alternative format
-        `/assets/v2/${id}/transfers`,      // Try alternative format
-        `/v1/identities/${id}/transfers`,  // Try identity endpoints
-        `/v2/identities/${id}/transfers`,
-        `/identities/v1/${id}/transfers`,
-        `/identities/v2/${id}/transfers`
-      ];
-      
-      for (const endpoint of possibleEndpoints) {
-        try {
-          console.log(`Trying transfers endpoint: ${endpoint}`);
-          const transfersData = await this.handleRequest(endpoint, {
-            page: page,
-            size: pageSize
-          });
-          
-          // Return the raw transfers data or empty array
-          if (transfersData && Array.isArray(transfersData.transfers)) {
-            return transfersData.transfers;
-          }
-        } catch (endpointError) {
-          console.warn(`Transfers endpoint ${endpoint} failed: ${endpointError.message}`);
-          // Continue to the next endpoint
-        }
-      }
-      
-      // If no data is available, return empty array
-      return [];
-    } catch (err) {
-      console.error(`Failed to get transfers for asset ${id}:`, err.message);
-      return [];
+  async _getRichList(page, pageSize) {
+    const cacheKey = `richList:${page}:${pageSize}`;
+    const cachedRichList = this.cache.get(cacheKey);
+    if (cachedRichList) {
+      return cachedRichList;
+    }
+    
+    const result = await this.routes.request('richList', {}, { page: page + 1, pageSize });
+    if (!result) {
+      throw new Error('No rich list route answered');
     }
+    
+    const richList = {
+      holders: result.data.richList.entities.map(entity => ({
+        address: entity.identity,
+        quantity: String(entity.balance)
+      })),
+      totalCount: Number(result.data.pagination.totalRecords) || 0
+    };
+    // Balances change with every transfer, so they are only cached for the mutable TTL
+    this.cache.set(cacheKey, richList);
+    return richList;
+  }
+  
+  // Network-wide statistics of the live RPC (circulating QU supply, burned QU, active addresses, ...)
+  async getLatestStats() {
+    return this.singleFlight.do('latestStats', () => this._getLatestStats());
   }
 
-  // ========== Exchange Methods ==========
+  async _getLatestStats() {
+    const cachedStats = this.cache.get('latestStats');
+    if (cachedStats) {
+      return cachedStats;
+    }
+    
+    const response = await this.handleRequest('/v1/latest-stats');
+    if (!response || !response.data || response.data.circulatingSupply === undefined) {
+      throw new Error('Latest stats response has no circulating supply');
+    }
+    
+    this.cache.set('latestStats', response.data);
+    return response.data;
+  }
   
-  // Get DEX information
-  async getExchangeById(id) {
-    try {
-      const possibleEndpoints = [
-        `/v1/exchanges/${id}`,     // Try standard v1 endpoint
-        `/v2/exchanges/${id}`,     // Try standard v2 endpoint
-        `/exchanges/v1/${id}`,     // Try alternative format
-        `/exchanges/v2/${id}`      // Try alternative format
-      ];
-      
-      for (const endpoint of possibleEndpoints) {
-        try {
-          console.log(`Trying exchange endpoint: ${endpoint}`);
-          const exchangeData = await this.handleRequest(endpoint);
-          
-          if (exchangeData && exchangeData.factoryAddress) {
-            return {
-              factoryAddress: exchangeData.factoryAddress,
-              name: exchangeData.name || `Qubic DEX`,
-              logoURL: exchangeData.logoURL || "https://qubic.org/logo.png"
-            };
-          }
-        } catch (endpointError) {
-          console.warn(`Exchange endpoint ${endpoint} failed: ${endpointError.message}`);
-          // Continue to the next endpoint
-        }
-      }
-      
-      // If no exchange data is available, return null - don't mock
-      console.warn(`No exchange data found for id ${id}`);
-      return null;
-    } catch (err) {
-      console.error(`Failed to get exchange data for ${id}:`, err.message);
-      // Return null if the API call fails - don't mock
+  // Details of an asset by its canonical id (`QU` or `<issuer>.<name>`, see assetId):
+  // { id, name, symbol, totalSupply, circulatingSupply, holdersCount, decimals }
+  // Resolves with null for an asset that was never issued; malformed ids and upstream failures are thrown
+  async getAssetById(id) {
+    const parsedId = parseAssetId(id);
+    
+    const supply = await this.getAssetSupply(id);
+    if (!supply) {
       return null;
     }
+    
+    // QU holders are counted by the rich list, the same source as its /asset/holders
+    if (parsedId.native) {
+      const richList = await this.getRichList(0, 1);
+      return {
+        id,
+        name: 'Qubic',
+        symbol: id,
+        totalSupply: supply.totalSupply,
+        circulatingSupply: supply.circulatingSupply,
+        holdersCount: richList.totalCount,
+        decimals: QU_DECIMALS
+      };
+    }
+    
+    const ownerships = await this.getAssetOwnerships(parsedId.issuer, parsedId.name);
+    return {
+      id,
+      name: parsedId.name,
+      symbol: parsedId.name,
+      totalSupply: supply.totalSupply,
+      circulatingSupply: supply.circulatingSupply,
+      holdersCount: this._aggregateHolders(ownerships).length,
+      decimals: supply.decimals
+    };
   }
-
-  // ========== Pair Methods ==========
   
-  // Get pair details
-  async getPairById(id) {
-    try {
-      const possibleEndpoints = [
-        `/v1/pairs/${id}`,     // Try standard v1 endpoint
-        `/v2/pairs/${id}`,     // Try standard v2 endpoint
-        `/pairs/v1/${id}`,     // Try alternative format
-        `/pairs/v2/${id}`      // Try alternative format
-      ];
-      
-      for (const endpoint of possibleEndpoints) {
-        try {
-          console.log(`Trying pair endpoint: ${endpoint}`);
-          const pairData = await this.handleRequest(endpoint);
-          
-          if (pairData && pairData.id) {
-            return {
-              id: pairData.id,
-              token0: pairData.token0 || pairData.asset0Id,
-              token1: pairData.token1 || pairData.asset1Id,
-              createdAtTickNumber: pairData.createdAtTickNumber || pairData.createdAtBlockNumber || 0,
-              createdAtTimestamp: pairData.createdAtTimestamp || Date.now(),
-              createdAtTxId: pairData.createdAtTxId || "0x0",
-              factoryAddress: pairData.factoryAddress || "",
-              fee: pairData.fee || 0.003
-            };
-          }
-        } catch (endpointError) {
-          console.warn(`Pair endpoint ${endpoint} failed: ${endpointError.message}`);
-          // Continue to the next endpoint
-        }
-      }
-      
-      // If no pair data is available, return null - don't mock
-      console.warn(`No pair data found for id ${id}`);
-      return null;
-    } catch (err) {
-      console.error(`Failed to get pair data for ${id}:`, err.message);
-      // Return null if the API call fails - don't mock
+  // How the supply of an asset by its canonical id is made up:
+  // { id, decimals, totalSupply, circulatingSupply, excluded: [{ address, quantity, reason }], rules }
+  // Issued assets are computed by supplyCalculator. For QU, the live RPC's circulating supply already
+  // has burned QU taken out, and burned QU no longer exists, so the total supply is that same figure.
+  // Resolves with null for an asset that was never issued; upstream failures are thrown
+  async getAssetSupply(id) {
+    const parsedId = parseAssetId(id);
+    
+    if (parsedId.native) {
+      const stats = await this.getLatestStats();
+      const supply = BigInt(stats.circulatingSupply).toString();
+      return {
+        id,
+        decimals: QU_DECIMALS,
+        totalSupply: supply,
+        circulatingSupply: supply,
+        excluded: [],
+        rules: null
+      };
+    }
+    
+    const issuance = await this.getAssetIssuance(parsedId.issuer, parsedId.name);
+    if (!issuance) {
       return null;
     }
+    
+    // Every issued unit has exactly one owner, so the ownerships add up to the issued supply
+    const ownerships = await this.getAssetOwnerships(parsedId.issuer, parsedId.name);
+    return {
+      id,
+      decimals: issuance.numberOfDecimalPlaces,
+      ...supplyCalculator.calculate(id, ownerships)
+    };
+  }
+
+  // One page of the holders of an asset by its canonical id, largest first:
+  // { holders: [{ address, quantity }], totalCount }, quantities in integer units
+  // QU holders come from the live RPC's rich list, which pages them itself.
+  // Upstream failures are thrown, so a missing answer is never served as an asset without holders
+  async getAssetHolders(id, page = 0, pageSize = 10) {
+    const parsedId = parseAssetId(id);
+    if (parsedId.native) {
+      return this.getRichList(page, pageSize);
+    }
+    
+    const ownerships = await this.getAssetOwnerships(parsedId.issuer, parsedId.name);
+    const holders = this._aggregateHolders(ownerships);
+    return {
+      holders: holders.slice(page * pageSize, (page + 1) * pageSize),
+      totalCount: holders.length
+    };
+  }
+
+  // Units owned per identity, summed over the managing contracts it holds them under,
+  // without empty balances: [{ address, quantity }] sorted by quantity, then address
+  _aggregateHolders(ownerships) {
+    const balances = new Map();
+    for (const ownership of ownerships) {
+      balances.set(ownership.owner, (balances.get(ownership.owner) || 0n) + BigInt(ownership.numberOfUnits));
+    }
+    
+    return [...balances]
+      .filter(([, quantity]) => quantity > 0n)
+      .sort(([addressA, a], [addressB, b]) => (a === b ? addressA.localeCompare(addressB) : (b > a ? 1 : -1)))
+      .map(([address, quantity]) => ({ address, quantity: quantity.toString() }));
   }
 
   // ========== Events Methods ==========
   
-  // Get transactions for a specific tick
+  // Get transactions for a specific tick; upstream failures are thrown
   async getTransactionsForTick(tickNumber) {
+    return this.singleFlight.do(
+      `transactions:${tickNumber}`,
+      () => this._getTransactionsForTick(tickNumber)
+    );
+  }
+
+  async _getTransactionsForTick(tickNumber) {
     try {
       // Check cache first
-      if (this.cache.transactions[tickNumber]) {
-        console.log(`Using cached ${this.cache.transactions[tickNumber].length} transactions for tick ${tickNumber}`);
-        return this.cache.transactions[tickNumber];
+      const cachedTransactions = this.cache.get(`transactions:${tickNumber}`);
+      if (cachedTransactions) {
+        console.log(`Using cached ${cachedTransactions.length} transactions for tick ${tickNumber}`);
+        return cachedTransactions;
+      }
+      
+      const storedTransactions = localStore.getTransactions(tickNumber);
+      if (storedTransactions) {
+        console.log(`Using stored ${storedTransactions.length} transactions for tick ${tickNumber}`);
+        this.cache.set(`transactions:${tickNumber}`, storedTransactions, { finalized: true });
+        return storedTransactions;
       }
       
       // Using v2 API for transactions
@@ -1198,20 +828,55 @@ class QubicRpcClient {
       const transactions = response.transactions || [];
       
       // Cache transactions
-      this.cache.transactions[tickNumber] = transactions;
+      const finalized = this.isFinalizedTick(tickNumber);
+      this.cache.set(`transactions:${tickNumber}`, transactions, { finalized });
+      if (finalized) {
+        localStore.putTransactions(tickNumber, transactions);
+      }
       
       return transactions;
     } catch (error) {
+      // Never answer with an empty list: that would be indistinguishable from a tick without transactions
       console.error(`Error getting transactions for tick ${tickNumber}:`, error.message);
-      return [];
+      throw error;
     }
   }
   
-  // Get chain hash for a tick
-  async getTickChainHash(tickNumber) {
-    // Using v2 API for hash
-    const response = await this.handleRequest(`/v2/ticks/${tickNumber}/hash`);
-    return response.hash || '';
+  // Get the decoded event logs of a tick, grouped by transaction: { [txId]: [event] }
+  // Upstream failures are thrown; a tick whose logs can't be read has no known outcome
+  async getEventLogsForTick(tickNumber) {
+    return this.singleFlight.do(
+      `eventLogs:${tickNumber}`,
+      () => this._getEventLogsForTick(tickNumber)
+    );
+  }
+
+  async _getEventLogsForTick(tickNumber) {
+    const cachedLogs = this.cache.get(`eventLogs:${tickNumber}`);
+    if (cachedLogs) {
+      return cachedLogs;
+    }
+    
+    const storedLogs = localStore.getEventLogs(tickNumber);
+    if (storedLogs) {
+      this.cache.set(`eventLogs:${tickNumber}`, storedLogs, { finalized: true });
+      return storedLogs;
+    }
+    
+    const result = await this.routes.request('tickEvents', { tick: tickNumber });
+    if (!result) {
+      throw new Error(`Event logs for tick ${tickNumber} are not available upstream`);
+    }
+    
+    const eventLogs = eventLogDecoder.decodeTickEvents(result.data);
+    
+    const finalized = this.isFinalizedTick(tickNumber);
+    this.cache.set(`eventLogs:${tickNumber}`, eventLogs, { finalized });
+    if (finalized) {
+      localStore.putEventLogs(tickNumber, eventLogs);
+    }
+    
+    return eventLogs;
   }
   
   // Get health check for the main RPC
@@ -1220,52 +885,45 @@ class QubicRpcClient {
       const response = await this.handleRequest('/v1/healthcheck');
       return {
         status: response.status || true,
-        source: 'main-rpc'
+        source: 'main-rpc',
+        endpoints: this.getEndpointPoolStatus()
       };
     } catch (error) {
       console.error('Health check failed for main RPC:', error.message);
       return {
         status: false,
         error: error.message,
-        source: 'main-rpc'
+        source: 'main-rpc',
+        endpoints: this.getEndpointPoolStatus()
       };
     }
   }
   
   // Get health check for API services
   async getApiServicesHealth() {
-    // Try several possible endpoint paths for the API health check
-    const possibleEndpoints = [
-      '/v1/health',
-      '/v2/health',
-      '/assets/health',
-      '/identities/health'
-    ];
-    
-    for (const endpoint of possibleEndpoints) {
-      try {
-        console.log(`Trying API services health endpoint: ${endpoint}`);
-        const response = await this.handleRequest(endpoint);
+    try {
+      const result = await this.routes.request('apiHealth', {});
+      if (result) {
         return {
-          status: response.status || true,
+          status: result.data.status || true,
           source: 'api-services',
-          endpoint: endpoint
+          endpoint: result.route,
+          routes: this.routes.getStatus()
         };
-      } catch (error) {
-        console.warn(`Health check failed for API services at ${endpoint}: ${error.message}`);
-        // Continue to next endpoint
       }
+    } catch (error) {
+      console.warn(`Health check failed for API services: ${error.message}`);
     }
     
     // If all health endpoints fail, try an actual data endpoint as a fallback check
     try {
-      console.log('Trying asset endpoint as fallback health check');
-      // Try to get QUBIC asset as a health check
-      const assetResponse = await this.getAssetById('QUBIC');
+      console.log('Trying latest stats as fallback health check');
+      await this.getLatestStats();
       return {
-        status: assetResponse !== null, // If we can fetch an asset, the service is likely up
+        status: true, // If the live RPC serves data, the service is likely up
         source: 'api-services',
-        endpoint: 'asset-endpoint-fallback'
+        endpoint: 'latest-stats-fallback',
+        routes: this.routes.getStatus()
       };
     } catch (error) {
       console.error('All API services health checks failed:', error.message);
@@ -1297,57 +955,22 @@ class QubicRpcClient {
     
     return {
       status: results.mainRpc.status && results.apiServices.status,
-      services: results
+      services: results,
+      cache: this.getCacheStats(),
+      store: localStore.getStats(),
+      timestampIndex: this.timestampIndex.getStats()
     };
   }
   
-  // Scan for ticks in a range to ensure we don't miss any
-  async scanTickRange(startTick, endTick, maxResults = 100) {
-    console.log(`Scanning tick range from ${startTick} to ${endTick}`);
-    
-    const validTicks = [];
-    let scannedCount = 0;
-    
-    // Limit the range to a reasonable size to prevent performance issues
-    const actualEndTick = startTick + Math.min(endTick - startTick, maxResults);
-    
-    for (let tickNumber = startTick; tickNumber <= actualEndTick; tickNumber++) {
-      try {
-        const tick = await this.getTickByNumber(tickNumber);
-        
-        // If tick is not empty, add it to the list
-        if (!tick.isEmpty) {
-          validTicks.push(tick);
-          scannedCount++;
-        }
-        
-        // Break if we've reached the maximum result count
-        if (validTicks.length >= maxResults) {
-          break;
-        }
-      } catch (error) {
-        console.warn(`Error scanning tick ${tickNumber}:`, error.message);
-        // Continue to the next tick
-      }
-    }
-    
-    console.log(`Scanned ${scannedCount} ticks, found ${validTicks.length} valid ticks`);
-    return validTicks;
-  }
-  
-  // Get computors for epoch
-  async getComputorsForEpoch(epoch) {
-    const response = await this.handleRequest(`/v1/epochs/${epoch}/computors`);
-    return response.computors || [];
-  }
-
   // Helper to normalize tick data structure
   normalizeTickData(tickData) {
     if (!tickData) return null;
     
+    // Tick lists carry no timestamp; leave it unset rather than fabricating one,
+    // since normalized ticks are persisted
     return {
       tickNumber: tickData.tickNumber || tickData.number,
-      timestamp: tickData.timestamp || Date.now(),
+      timestamp: tickData.timestamp,
       epoch: tickData.epoch,
       // Include any other fields from the original data
       ...tickData
@@ -0,0 +1,114 @@
+const InputReader = require('./inputReader');
+const { contractIdentity } = require('./qubicIdentity');
+
+/**
+ * Decoder for transactions invoking the QX smart contract (contract index 1)
+ *
+ * QX is an order book exchange for Qubic assets, priced in QU. A transaction sent to
+ * the QX address calls the procedure given by `inputType` with the struct in
+ * `inputHex`. Known procedures are decoded into typed actions; 64-bit amounts are
+ * kept as decimal strings so no precision is lost.
+ */
+
+const QX_CONTRACT_INDEX = 1;
+
+// Fee QX takes from the QU of every trade: `_tradeFee` of 5000000 per billion, i.e. 0.5%
+const QX_TRADE_FEE_BPS = 50;
+
+// Procedure numbers as registered by the contract
+const QX_PROCEDURES = {
+  ISSUE_ASSET: 1,
+  TRANSFER_SHARE_OWNERSHIP_AND_POSSESSION: 2,
+  ADD_TO_ASK_ORDER: 5,
+  ADD_TO_BID_ORDER: 6,
+  REMOVE_FROM_ASK_ORDER: 7,
+  REMOVE_FROM_BID_ORDER: 8
+};
+
+// Order procedures share one input struct: issuer, asset name, price, number of shares
+const ORDER_ACTIONS = {
+  [QX_PROCEDURES.ADD_TO_ASK_ORDER]: 'addAskOrder',
+  [QX_PROCEDURES.ADD_TO_BID_ORDER]: 'addBidOrder',
+  [QX_PROCEDURES.REMOVE_FROM_ASK_ORDER]: 'removeAskOrder',
+  [QX_PROCEDURES.REMOVE_FROM_BID_ORDER]: 'removeBidOrder'
+};
+
+class QxDecoder {
+  constructor() {
+    this.contractIndex = QX_CONTRACT_INDEX;
+    // Contract part of pair ids, e.g. `QX:<issuer>.<name>:QU`
+    this.contractName = 'QX';
+    this.address = contractIdentity(QX_CONTRACT_INDEX);
+    this.procedures = QX_PROCEDURES;
+    this.feeBps = QX_TRADE_FEE_BPS;
+  }
+
+  isQxTransaction(transaction) {
+    return Boolean(transaction) && transaction.destId === this.address;
+  }
+
+  /**
+   * Decode a QX transaction into a typed action
+   * Returns null for transactions not sent to QX or calling an unknown procedure;
+   * throws if the input of a known procedure is malformed.
+   */
+  decode(transaction) {
+    if (!this.isQxTransaction(transaction)) return null;
+
+    const inputType = Number(transaction.inputType);
+    const reader = new InputReader(transaction.inputHex);
+    const base = {
+      contract: this.contractName,
+      txId: transaction.txId,
+      tickNumber: transaction.tickNumber,
+      source: transaction.sourceId,
+      // QU sent along with the call (a bid's escrow, issuance or transfer fees)
+      invocationAmount: String(transaction.amount || '0')
+    };
+
+    if (ORDER_ACTIONS[inputType]) {
+      const issuer = reader.id();
+      const name = reader.assetName();
+      return {
+        ...base,
+        type: ORDER_ACTIONS[inputType],
+        asset: { issuer, name },
+        price: reader.sint64().toString(),
+        numberOfShares: reader.sint64().toString()
+      };
+    }
+
+    switch (inputType) {
+      case QX_PROCEDURES.ISSUE_ASSET: {
+        const name = reader.assetName();
+        return {
+          ...base,
+          type: 'issueAsset',
+          // The issuer of a new asset is the transaction's source
+          asset: { issuer: transaction.sourceId, name },
+          numberOfShares: reader.sint64().toString(),
+          unitOfMeasurement: reader.uint64().toString(),
+          numberOfDecimalPlaces: reader.sint8()
+        };
+      }
+
+      case QX_PROCEDURES.TRANSFER_SHARE_OWNERSHIP_AND_POSSESSION: {
+        const issuer = reader.id();
+        const newOwner = reader.id();
+        const name = reader.assetName();
+        return {
+          ...base,
+          type: 'transferShares',
+          asset: { issuer, name },
+          newOwner,
+          numberOfShares: reader.sint64().toString()
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = new QxDecoder();
@@ -0,0 +1,285 @@
+const qubicRpcClient = require('./qubicRpcClient');
+const localStore = require('./localStore');
+const qswapDecoder = require('./qswapDecoder');
+const fillResolver = require('./fillResolver');
+const ConcurrencyLimiter = require('./concurrencyLimiter');
+const { QU_ASSET_ID, formatAssetId } = require('./assetId');
+const config = require('../config');
+
+/**
+ * Pool reserves engine
+ *
+ * Upstream never reports pool reserves, so they are rebuilt by replaying every Qswap
+ * call in block order: a pool starts empty when it is created, and each settled swap,
+ * liquidity addition or removal moves its reserves by the net QU and shares that went
+ * between the caller and Qswap. The reserves after every tick that changed a pool are
+ * kept in the local store up to a checkpoint, the last finalized tick replayed, so a
+ * request only replays the ticks between the checkpoint and its own range.
+ *
+ * A replay is driven through a cursor: `openReplay` positions it right before a
+ * range, `applyTick` feeds it the range's ticks in order and `commit` persists what
+ * became final. Catching up from the start tick can take far longer than a request,
+ * so it runs in the background (`startCatchUp`) up to the newest finalized tick;
+ * requests only replay the few blocks the catch-up hasn't reached yet. QX is an
+ * order book without pools, so its events carry no reserves.
+ */
+
+// Ticks listed per step when catching up from the checkpoint
+const REPLAY_CHUNK_TICKS = 1000;
+
+class ReservesEngine {
+  /**
+   * @param {Object} store - local store holding reserves rows and the replay checkpoint
+   * @param {Object} client - QubicRpcClient serving ticks, transactions and event logs
+   * @param {Object} options - { startTick, fetchConcurrency }
+   */
+  constructor(store, client, options = {}) {
+    this.store = store;
+    this.client = client;
+    this.configuredStartTick = options.startTick || null;
+    this.fetcher = new ConcurrencyLimiter(options.fetchConcurrency);
+    this.catchUpTimer = null;
+  }
+
+  /**
+   * Cursor holding the reserves of every pool as of the end of `fromTick - 1`
+   * Ticks between the checkpoint and `fromTick` are replayed first; throws if there are
+   * more than `maxReplayTicks` of them, or if they can't all be fetched within `budgetMs`
+   * (progress made so far is kept).
+   */
+  async openReplay(fromTick, { budgetMs = Infinity, maxReplayTicks = Infinity } = {}) {
+    const deadline = Date.now() + budgetMs;
+    const { startTick, tickNumber: checkpoint } = await this._getCheckpoint();
+    const positionTick = Math.min(fromTick - 1, checkpoint);
+
+    const cursor = {
+      startTick,
+      tickNumber: positionTick,
+      reserves: new Map(),
+      changes: []
+    };
+    for (const row of this.store.getPoolReservesAt(positionTick)) {
+      cursor.reserves.set(row.pairId, { asset0: BigInt(row.asset0), asset1: BigInt(row.asset1) });
+    }
+
+    if (fromTick - 1 - cursor.tickNumber > maxReplayTicks) {
+      throw new Error(`Pool reserves are only rebuilt up to block ${cursor.tickNumber} and still catching up; retry later`);
+    }
+    if (fromTick - 1 > cursor.tickNumber) {
+      await this._replay(cursor, fromTick - 1, deadline);
+    }
+    return cursor;
+  }
+
+  // Replay from the checkpoint up to the newest finalized tick, committing as it goes
+  async catchUp() {
+    const latestTick = await this.client.getLatestTick();
+    if (!latestTick) throw new Error('The newest finalized tick is not known');
+
+    await this.openReplay(latestTick.tickNumber + 1);
+  }
+
+  // Run catch-up passes in the background, `intervalMs` apart; failed passes are retried on the next one
+  startCatchUp(intervalMs) {
+    if (this.catchUpTimer) return;
+
+    const pass = async () => {
+      try {
+        await this.catchUp();
+      } catch (error) {
+        console.error(`Pool reserves catch-up failed: ${error.message}`);
+      }
+      if (this.catchUpTimer) {
+        this.catchUpTimer = setTimeout(pass, intervalMs);
+        this.catchUpTimer.unref();
+      }
+    };
+    this.catchUpTimer = setTimeout(pass, 0);
+    this.catchUpTimer.unref();
+  }
+
+  stopCatchUp() {
+    clearTimeout(this.catchUpTimer);
+    this.catchUpTimer = null;
+  }
+
+  /**
+   * Replay one tick's Qswap calls; ticks must be applied in ascending order
+   * Returns the reserves after each pool-changing transaction: { [txId]: { asset0, asset1 } }
+   */
+  applyTick(cursor, tickNumber, transactions, eventLogs = {}) {
+    if (tickNumber <= cursor.tickNumber) {
+      throw new Error(`Tick ${tickNumber} is not after the replay position ${cursor.tickNumber}`);
+    }
+    cursor.tickNumber = tickNumber;
+
+    const reservesByTransaction = {};
+    if (tickNumber < cursor.startTick || !Array.isArray(transactions)) return reservesByTransaction;
+
+    const changedPairs = new Set();
+    for (const entry of transactions) {
+      const action = this._decode(entry && entry.transaction ? entry.transaction : entry);
+      if (!action) continue;
+      // Event logs are matched by transaction id; without one the call's effect is unknown
+      if (!action.txId) throw new Error(`A Qswap transaction of block ${tickNumber} has no id`);
+
+      const reserves = this._applyAction(cursor, action, eventLogs[action.txId] || []);
+      if (!reserves) continue;
+
+      changedPairs.add(this._pairId(action));
+      reservesByTransaction[action.txId] = { asset0: reserves.asset0.toString(), asset1: reserves.asset1.toString() };
+    }
+
+    for (const pairId of changedPairs) {
+      const reserves = cursor.reserves.get(pairId);
+      cursor.changes.push({
+        pairId,
+        tickNumber,
+        asset0: reserves.asset0.toString(),
+        asset1: reserves.asset1.toString()
+      });
+    }
+    return reservesByTransaction;
+  }
+
+  /**
+   * Mark every tick up to `throughTick` as replayed and persist the cursor's changes
+   * Only finalized ticks are stored, so the checkpoint never moves past data that can change.
+   */
+  commit(cursor, throughTick = cursor.tickNumber) {
+    cursor.tickNumber = Math.max(cursor.tickNumber, throughTick);
+
+    const stored = this.store.getPoolReservesCheckpoint();
+    if (!this.client.isFinalizedTick(cursor.tickNumber)) return;
+    if (stored && stored.startTick === cursor.startTick && stored.tickNumber >= cursor.tickNumber) return;
+
+    this.store.putPoolReserves(cursor.changes, { startTick: cursor.startTick, tickNumber: cursor.tickNumber });
+    cursor.changes = [];
+  }
+
+  // Whether any of a tick's transactions calls Qswap, i.e. whether the tick can move pool reserves
+  callsQswap(transactions) {
+    return Array.isArray(transactions) &&
+      transactions.some(entry => qswapDecoder.isQswapTransaction(entry && entry.transaction ? entry.transaction : entry));
+  }
+
+  // Last tick replayed: the stored checkpoint, or right before the start tick
+  async getCheckpointTick() {
+    return (await this._getCheckpoint()).tickNumber;
+  }
+
+  getStats() {
+    const checkpoint = this.store.getPoolReservesCheckpoint();
+    return {
+      startTick: checkpoint ? checkpoint.startTick : this.configuredStartTick,
+      checkpoint: checkpoint ? checkpoint.tickNumber : null
+    };
+  }
+
+  // Catch the cursor up to `toTick` chunk by chunk, committing after every chunk
+  async _replay(cursor, toTick, deadline) {
+    console.log(`Replaying pool reserves over ticks ${cursor.tickNumber + 1}-${toTick}`);
+
+    while (cursor.tickNumber < toTick) {
+      const fromTick = cursor.tickNumber + 1;
+      const chunkEnd = Math.min(toTick, fromTick + REPLAY_CHUNK_TICKS - 1);
+      if (Date.now() >= deadline) {
+        throw new Error(`Pool reserves replay ran out of time at block ${cursor.tickNumber}; retry later`);
+      }
+
+      const ticks = (await this.client.getTicksInBlockRange(fromTick, chunkEnd))
+        .filter(tick => !tick.isEmpty);
+      const results = await this.fetcher.map(
+        ticks,
+        tick => this._fetchTickData(tick.tickNumber),
+        { budgetMs: deadline - Date.now() }
+      );
+
+      for (let i = 0; i < ticks.length; i++) {
+        if (results[i].status === 'rejected') {
+          this.commit(cursor, ticks[i].tickNumber - 1);
+          throw new Error(`Block ${ticks[i].tickNumber} could not be replayed: ${results[i].reason.message}`);
+        }
+        const { transactions, eventLogs } = results[i].value;
+        this.applyTick(cursor, ticks[i].tickNumber, transactions, eventLogs);
+      }
+
+      this.commit(cursor, chunkEnd);
+    }
+  }
+
+  // A tick's transactions, plus its event logs when one of them called Qswap
+  async _fetchTickData(tickNumber) {
+    const transactions = await this.client.getTransactionsForTick(tickNumber);
+    const eventLogs = this.callsQswap(transactions) ? await this.client.getEventLogsForTick(tickNumber) : {};
+    return { transactions, eventLogs };
+  }
+
+  // Move a pool's reserves by a settled action; returns the pool's reserves, or null if unchanged
+  _applyAction(cursor, action, logs) {
+    const pairId = this._pairId(action);
+
+    if (action.type === 'createPool') {
+      if (!fillResolver.qswapPoolCreated(action, logs) || cursor.reserves.has(pairId)) return null;
+      const reserves = { asset0: 0n, asset1: 0n };
+      cursor.reserves.set(pairId, reserves);
+      return reserves;
+    }
+
+    const { quIn, assetIn } = fillResolver.qswapNetFlows(action, logs);
+    if (BigInt(quIn) === 0n && BigInt(assetIn) === 0n) return null;
+
+    const reserves = cursor.reserves.get(pairId);
+    if (!reserves) {
+      console.warn(`Qswap transaction ${action.txId} moved funds of pool ${pairId}, which was not created since tick ${cursor.startTick}`);
+      return null;
+    }
+
+    reserves.asset0 += BigInt(assetIn);
+    reserves.asset1 += BigInt(quIn);
+    return reserves;
+  }
+
+  _decode(transaction) {
+    try {
+      return qswapDecoder.decode(transaction);
+    } catch (error) {
+      // Malformed inputs are reported by the event transformer
+      return null;
+    }
+  }
+
+  // Same pair id as the DEXTools events: the asset is asset0, QU asset1
+  _pairId(action) {
+    return `QSWAP:${formatAssetId(action.asset)}:${QU_ASSET_ID}`;
+  }
+
+  // Stored checkpoint, reset when the configured start tick changed; defaults to right before the start tick
+  async _getCheckpoint() {
+    let stored = this.store.getPoolReservesCheckpoint();
+    if (stored && this.configuredStartTick && stored.startTick !== this.configuredStartTick) {
+      console.log(`Pool reserves start tick changed from ${stored.startTick} to ${this.configuredStartTick}; replaying from scratch`);
+      this.store.resetPoolReserves();
+      stored = null;
+    }
+    if (stored) return stored;
+
+    const startTick = this.configuredStartTick || await this._getOldestIndexedTick();
+    return { startTick, tickNumber: startTick - 1 };
+  }
+
+  async _getOldestIndexedTick() {
+    if (this.client.epochIndex.getAll().length === 0) {
+      await this.client.epochIndex.refresh({ force: true });
+    }
+
+    const [oldest] = this.client.epochIndex.getAll();
+    if (!oldest) throw new Error('Epoch index is empty');
+    return oldest.initialTick;
+  }
+}
+
+module.exports = new ReservesEngine(localStore, qubicRpcClient, {
+  startTick: config.reserves.startTick,
+  fetchConcurrency: config.events.fetchConcurrency
+});
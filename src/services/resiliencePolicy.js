@@ -0,0 +1,181 @@
+/**
+ * Retry, backoff and circuit breaker policy for upstream Qubic calls
+ *
+ * Each call is classified by the resource it targets (ticks, transactions, assets, ...)
+ * and retried within that class's budget using exponential backoff with full jitter.
+ * An upstream `Retry-After` header takes precedence over the computed delay.
+ *
+ * A circuit breaker per upstream (live RPC, archiver) opens after repeated failed
+ * calls, so further calls fail fast instead of piling up on a host that is down.
+ * After the reset timeout a single trial call is let through (half-open).
+ */
+
+// Endpoint classes, matched in order against the request path
+const ENDPOINT_CLASSES = [
+  { name: 'transactions', pattern: /^\/v\d\/ticks\/\d+\/transactions/ },
+  { name: 'ticks', pattern: /^\/v\d\/(epochs\/\d+\/ticks|ticks\/|latestTick)/ },
+  { name: 'status', pattern: /^\/v\d\/status/ },
+  { name: 'health', pattern: /health/ },
+  { name: 'assets', pattern: /^\/(v\d\/)?(assets|identities)/ },
+  { name: 'pairs', pattern: /^\/(v\d\/)?pairs/ },
+  { name: 'exchanges', pattern: /^\/(v\d\/)?exchanges/ }
+];
+
+const CIRCUIT_CLOSED = 'closed';
+const CIRCUIT_OPEN = 'open';
+const CIRCUIT_HALF_OPEN = 'half-open';
+
+// Thrown instead of calling upstream while a circuit is open
+class CircuitOpenError extends Error {
+  constructor(circuitName, retryAt) {
+    super(`Circuit for ${circuitName} is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+  }
+}
+
+class ResiliencePolicy {
+  constructor(options) {
+    this.retryBudgets = options.retryBudgets;
+    this.baseDelayMs = options.baseDelayMs;
+    this.maxDelayMs = options.maxDelayMs;
+    this.maxRetryAfterMs = options.maxRetryAfterMs;
+    this.breakerFailureThreshold = options.breakerFailureThreshold;
+    this.breakerResetMs = options.breakerResetMs;
+    this.circuits = {};
+  }
+
+  // Classify a request path into an endpoint class
+  classify(endpoint) {
+    const match = ENDPOINT_CLASSES.find(c => c.pattern.test(endpoint));
+    return match ? match.name : 'other';
+  }
+
+  // Run `operation` with retries for the endpoint class, guarded by the named circuit
+  // `isRetryable(error)` decides whether a failure is transient (and counts against the circuit)
+  async execute(endpoint, circuitName, operation, isRetryable) {
+    const endpointClass = this.classify(endpoint);
+    const retries = this.retryBudgets[endpointClass] ?? this.retryBudgets.other ?? 0;
+    const circuit = this._getCircuit(circuitName);
+
+    for (let attempt = 0; ; attempt++) {
+      this._checkCircuit(circuitName, circuit);
+
+      try {
+        const result = await operation();
+        this._onSuccess(circuit);
+        return result;
+      } catch (error) {
+        if (!isRetryable(error)) {
+          // The upstream answered, so it is up even if the request was rejected
+          this._onSuccess(circuit);
+          throw error;
+        }
+
+        this._onFailure(circuitName, circuit);
+
+        if (attempt >= retries) {
+          throw error;
+        }
+
+        const delay = this._getRetryDelay(error, attempt);
+        console.warn(`Retrying ${endpoint} (${endpointClass}) in ${delay}ms, attempt ${attempt + 1}/${retries}: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Circuit states for health reporting
+  getCircuitStatus() {
+    const status = {};
+    for (const [name, circuit] of Object.entries(this.circuits)) {
+      status[name] = {
+        state: circuit.state,
+        consecutiveFailures: circuit.consecutiveFailures,
+        openUntil: circuit.state === CIRCUIT_OPEN ? new Date(circuit.openUntil).toISOString() : null
+      };
+    }
+    return status;
+  }
+
+  _getCircuit(name) {
+    if (!this.circuits[name]) {
+      this.circuits[name] = {
+        state: CIRCUIT_CLOSED,
+        consecutiveFailures: 0,
+        openUntil: 0,
+        trialInFlight: false
+      };
+    }
+    return this.circuits[name];
+  }
+
+  _checkCircuit(name, circuit) {
+    if (circuit.state === CIRCUIT_OPEN) {
+      if (Date.now() < circuit.openUntil) {
+        throw new CircuitOpenError(name, circuit.openUntil);
+      }
+      circuit.state = CIRCUIT_HALF_OPEN;
+      circuit.trialInFlight = false;
+      console.log(`Circuit for ${name} is half-open, allowing a trial request`);
+    }
+
+    if (circuit.state === CIRCUIT_HALF_OPEN) {
+      // Only one trial call at a time while half-open
+      if (circuit.trialInFlight) {
+        throw new CircuitOpenError(name, Date.now());
+      }
+      circuit.trialInFlight = true;
+    }
+  }
+
+  _onSuccess(circuit) {
+    circuit.state = CIRCUIT_CLOSED;
+    circuit.consecutiveFailures = 0;
+    circuit.trialInFlight = false;
+  }
+
+  _onFailure(name, circuit) {
+    circuit.consecutiveFailures++;
+    circuit.trialInFlight = false;
+
+    if (circuit.state === CIRCUIT_HALF_OPEN || circuit.consecutiveFailures >= this.breakerFailureThreshold) {
+      circuit.state = CIRCUIT_OPEN;
+      circuit.openUntil = Date.now() + this.breakerResetMs;
+      console.error(`Circuit for ${name} opened for ${this.breakerResetMs}ms after ${circuit.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  // Delay before the next attempt: Retry-After if the upstream sent one,
+  // otherwise exponential backoff with full jitter
+  _getRetryDelay(error, attempt) {
+    const retryAfterMs = this._parseRetryAfter(error);
+    if (retryAfterMs !== null) {
+      return Math.min(retryAfterMs, this.maxRetryAfterMs);
+    }
+
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  // Parse a Retry-After header given in seconds or as an HTTP date
+  _parseRetryAfter(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (header === undefined || header === null || header === '') return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+}
+
+module.exports = ResiliencePolicy;
+module.exports.CircuitOpenError = CircuitOpenError;
@@ -0,0 +1,119 @@
+/**
+ * Route discovery for upstream resources with several possible URL shapes
+ *
+ * The Qubic APIs have exposed assets, pairs, exchanges etc. under different path
+ * layouts over time. Instead of trying every candidate on every call, the first
+ * candidate returning valid data is remembered per resource type and used directly
+ * from then on. Candidates are probed again only after the remembered route failed
+ * several times in a row. Operators can pin a route shape per resource type, which
+ * disables probing for that type entirely.
+ */
+class RouteDiscovery {
+  /**
+   * @param {Object} resources - resource type -> { candidates: [template], isValid(data) }
+   *   Templates use `{name}` placeholders, e.g. `/v1/assets/{id}`
+   * @param {Function} fetchRoute - async (endpoint, params) => response data
+   * @param {Object} options - { pins: { type: template }, reprobeAfterFailures }
+   */
+  constructor(resources, fetchRoute, options = {}) {
+    this.resources = resources;
+    this.fetchRoute = fetchRoute;
+    this.reprobeAfterFailures = options.reprobeAfterFailures || 5;
+    this.state = {};
+
+    const pins = options.pins || {};
+    for (const type of Object.keys(resources)) {
+      this.state[type] = {
+        route: pins[type] || null,
+        pinned: Boolean(pins[type]),
+        consecutiveFailures: 0,
+        lastProbedAt: null
+      };
+    }
+  }
+
+  /**
+   * Fetch a resource using the known route, probing candidates if none is known yet
+   * Resolves with { data, route } or null when no route returned valid data.
+   * Transient upstream errors on a known route are thrown to the caller.
+   */
+  async request(type, vars, params = {}) {
+    const resource = this.resources[type];
+    const state = this.state[type];
+    if (!resource || !state) {
+      throw new Error(`Unknown resource type for route discovery: ${type}`);
+    }
+
+    if (state.route) {
+      const result = await this._tryRoute(type, state.route, vars, params);
+      if (result) {
+        state.consecutiveFailures = 0;
+        return result;
+      }
+
+      state.consecutiveFailures++;
+      if (state.pinned || state.consecutiveFailures < this.reprobeAfterFailures) {
+        return null;
+      }
+
+      console.warn(`Route ${state.route} for ${type} failed ${state.consecutiveFailures} times, probing again`);
+      state.route = null;
+    }
+
+    return this._probe(type, vars, params);
+  }
+
+  // Known routes per resource type, for health reporting
+  getStatus() {
+    const status = {};
+    for (const [type, state] of Object.entries(this.state)) {
+      status[type] = { ...state };
+    }
+    return status;
+  }
+
+  async _probe(type, vars, params) {
+    const state = this.state[type];
+    state.lastProbedAt = new Date().toISOString();
+
+    for (const template of this.resources[type].candidates) {
+      try {
+        const result = await this._tryRoute(type, template, vars, params);
+        if (result) {
+          console.log(`Discovered route ${template} for ${type}`);
+          state.route = template;
+          state.consecutiveFailures = 0;
+          return result;
+        }
+      } catch (error) {
+        // Keep probing the remaining shapes; retries already happened upstream
+        console.warn(`Probing route ${template} for ${type} failed: ${error.message}`);
+      }
+    }
+
+    console.warn(`No working route found for ${type}`);
+    return null;
+  }
+
+  // Resolves with { data, route } for valid data, null for a missing resource or invalid shape
+  // Other errors are thrown
+  async _tryRoute(type, template, vars, params) {
+    const endpoint = this._expand(template, vars);
+
+    try {
+      const data = await this.fetchRoute(endpoint, params);
+      return this.resources[type].isValid(data) ? { data, route: endpoint } : null;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  _expand(template, vars) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(vars[name]));
+  }
+}
+
+module.exports = RouteDiscovery;
@@ -0,0 +1,133 @@
+const axios = require('axios');
+
+// Number of recent outcomes used to compute an endpoint's error rate
+const OUTCOME_WINDOW_SIZE = 50;
+
+// Weight of the newest latency sample in the moving average
+const LATENCY_SMOOTHING = 0.2;
+
+// Latency penalty (ms) applied per unit of error rate when scoring endpoints,
+// so an endpoint failing 10% of the time is treated as 1s slower
+const ERROR_RATE_PENALTY_MS = 10000;
+
+/**
+ * Pool of interchangeable Qubic base URLs with health-scored selection
+ *
+ * Each endpoint tracks a moving average of its latency and its error rate over the
+ * last requests. Requests are routed to the endpoint with the best score, and an
+ * endpoint that fails repeatedly is ejected from rotation for a cooldown period.
+ */
+class RpcEndpointPool {
+  constructor(name, urls, options = {}) {
+    this.name = name;
+    this.ejectAfterFailures = options.ejectAfterFailures || 3;
+    this.cooldownMs = options.cooldownMs || 30000;
+
+    this.endpoints = urls.map(url => ({
+      url,
+      client: axios.create({
+        baseURL: url,
+        timeout: options.timeout || 30000,
+        maxContentLength: options.maxContentLength || 50 * 1024 * 1024,
+      }),
+      latencyMs: null,
+      outcomes: [],
+      consecutiveFailures: 0,
+      ejectedUntil: 0,
+      totalRequests: 0,
+      totalErrors: 0,
+      lastError: null,
+      lastErrorAt: 0
+    }));
+  }
+
+  // Order endpoints from healthiest to least healthy
+  // Ejected endpoints come last, the one whose cooldown ends first leading
+  getCandidates() {
+    const now = Date.now();
+
+    // Give endpoints without failures for a full cooldown a clean slate,
+    // otherwise a host that recovered would never be preferred again
+    for (const endpoint of this.endpoints) {
+      if (endpoint.outcomes.includes(false) && now - endpoint.lastErrorAt > this.cooldownMs) {
+        endpoint.outcomes = [];
+        endpoint.latencyMs = null;
+      }
+    }
+
+    const available = this.endpoints.filter(e => e.ejectedUntil <= now);
+    const ejected = this.endpoints.filter(e => e.ejectedUntil > now);
+
+    available.sort((a, b) => this._score(a) - this._score(b));
+    ejected.sort((a, b) => a.ejectedUntil - b.ejectedUntil);
+
+    return [...available, ...ejected];
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.totalRequests++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.ejectedUntil = 0;
+    this._recordOutcome(endpoint, true);
+    this._recordLatency(endpoint, latencyMs);
+  }
+
+  recordFailure(endpoint, latencyMs, error) {
+    endpoint.totalRequests++;
+    endpoint.totalErrors++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message;
+    endpoint.lastErrorAt = Date.now();
+    this._recordOutcome(endpoint, false);
+    this._recordLatency(endpoint, latencyMs);
+
+    if (endpoint.consecutiveFailures >= this.ejectAfterFailures) {
+      endpoint.ejectedUntil = Date.now() + this.cooldownMs;
+      console.warn(`Ejecting ${this.name} endpoint ${endpoint.url} for ${this.cooldownMs}ms after ${endpoint.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  // Per-endpoint status for health reporting
+  getStatus() {
+    const now = Date.now();
+    return this.endpoints.map(e => ({
+      url: e.url,
+      healthy: e.ejectedUntil <= now,
+      ejectedUntil: e.ejectedUntil > now ? new Date(e.ejectedUntil).toISOString() : null,
+      latencyMs: e.latencyMs === null ? null : Math.round(e.latencyMs),
+      errorRate: Number(this._errorRate(e).toFixed(3)),
+      consecutiveFailures: e.consecutiveFailures,
+      totalRequests: e.totalRequests,
+      totalErrors: e.totalErrors,
+      lastError: e.lastError,
+      lastErrorAt: e.lastErrorAt ? new Date(e.lastErrorAt).toISOString() : null
+    }));
+  }
+
+  _score(endpoint) {
+    // Endpoints without samples yet score 0 so they get tried
+    const latency = endpoint.latencyMs === null ? 0 : endpoint.latencyMs;
+    return latency + this._errorRate(endpoint) * ERROR_RATE_PENALTY_MS;
+  }
+
+  _errorRate(endpoint) {
+    if (endpoint.outcomes.length === 0) return 0;
+    const failures = endpoint.outcomes.filter(ok => !ok).length;
+    return failures / endpoint.outcomes.length;
+  }
+
+  _recordOutcome(endpoint, ok) {
+    endpoint.outcomes.push(ok);
+    if (endpoint.outcomes.length > OUTCOME_WINDOW_SIZE) {
+      endpoint.outcomes.shift();
+    }
+  }
+
+  _recordLatency(endpoint, latencyMs) {
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING;
+  }
+}
+
+module.exports = RpcEndpointPool;
@@ -0,0 +1,39 @@
+/**
+ * Single-flight request coalescing
+ *
+ * Concurrent calls for the same key share one in-flight promise, so N callers
+ * asking for the same resource at the same moment cause a single upstream request.
+ * The key is released as soon as the promise settles; results are not cached here.
+ */
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map();
+    this.coalescedCount = 0;
+  }
+
+  // Run `fn` for `key`, or join the call already in flight for it
+  do(key, fn) {
+    if (this.inFlight.has(key)) {
+      this.coalescedCount++;
+      return this.inFlight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  getStats() {
+    return {
+      inFlight: this.inFlight.size,
+      coalesced: this.coalescedCount
+    };
+  }
+}
+
+module.exports = SingleFlight;
@@ -0,0 +1,139 @@
+const { NULL_IDENTITY, isValidIdentity, contractIndexOf } = require('./qubicIdentity');
+const { parseAssetId } = require('./assetId');
+const { loadJsonConfig } = require('./configFile');
+const config = require('../config');
+
+/**
+ * Circulating supply of issued assets
+ *
+ * The issued supply is the sum of an asset's ownership records. Units owned by
+ * identities that can't trade them freely are subtracted to get the circulating
+ * supply: the issuer's treasury, shares owned by smart contracts (e.g. liquidity
+ * held by Qswap), burn identities (the null identity and configured ones) and
+ * locked addresses listed for the asset.
+ *
+ * Which of these apply is configured per asset in a JSON file (SUPPLY_EXCLUSIONS_PATH):
+ * `{ burnAddresses: [id], default: rules, assets: { "<issuer>.<name>": rules } }`,
+ * where the rules of an asset override the default ones field by field. The file is
+ * validated when the adapter starts.
+ */
+
+const RULE_FIELDS = {
+  excludeIssuer: 'boolean',
+  excludeContracts: 'boolean',
+  excludeBurnAddresses: 'boolean',
+  lockedAddresses: 'identities'
+};
+
+const DEFAULT_RULES = {
+  excludeIssuer: true,
+  excludeContracts: true,
+  excludeBurnAddresses: true,
+  lockedAddresses: []
+};
+
+class SupplyCalculator {
+  /**
+   * @param {Object} exclusions - validated exclusions file content (see loadExclusions)
+   */
+  constructor(exclusions) {
+    this.burnAddresses = new Set([NULL_IDENTITY, ...exclusions.burnAddresses]);
+    this.defaultRules = { ...DEFAULT_RULES, ...exclusions.default };
+    this.assetRules = exclusions.assets;
+  }
+
+  // Exclusion rules in effect for an asset
+  getRules(assetId) {
+    return { ...this.defaultRules, ...(this.assetRules[assetId] || {}) };
+  }
+
+  /**
+   * Supply of an issued asset from its ownership records
+   * Returns { totalSupply, circulatingSupply, excluded: [{ address, quantity, reason }], rules },
+   * amounts as integer strings; reasons are 'issuer', 'contract', 'burn' and 'locked'.
+   */
+  calculate(assetId, ownerships) {
+    const { issuer } = parseAssetId(assetId);
+    const rules = this.getRules(assetId);
+    const lockedAddresses = new Set(rules.lockedAddresses);
+
+    let totalSupply = 0n;
+    const excluded = new Map();
+    for (const ownership of ownerships) {
+      const units = BigInt(ownership.numberOfUnits);
+      totalSupply += units;
+
+      const reason = this._exclusionReason(ownership.owner, issuer, rules, lockedAddresses);
+      if (!reason || units === 0n) continue;
+
+      const entry = excluded.get(ownership.owner) || { address: ownership.owner, quantity: 0n, reason };
+      entry.quantity += units;
+      excluded.set(ownership.owner, entry);
+    }
+
+    const excludedTotal = [...excluded.values()].reduce((sum, entry) => sum + entry.quantity, 0n);
+    return {
+      totalSupply: totalSupply.toString(),
+      circulatingSupply: (totalSupply - excludedTotal).toString(),
+      excluded: [...excluded.values()]
+        .sort((a, b) => (a.quantity === b.quantity ? 0 : (b.quantity > a.quantity ? 1 : -1)))
+        .map(entry => ({ ...entry, quantity: entry.quantity.toString() })),
+      rules
+    };
+  }
+
+  // First rule an owner falls under, or null if its units circulate
+  _exclusionReason(owner, issuer, rules, lockedAddresses) {
+    if (rules.excludeIssuer && owner === issuer) return 'issuer';
+    if (rules.excludeBurnAddresses && this.burnAddresses.has(owner)) return 'burn';
+    if (rules.excludeContracts && contractIndexOf(owner) !== null) return 'contract';
+    if (lockedAddresses.has(owner)) return 'locked';
+    return null;
+  }
+}
+
+// Read and validate an exclusions file; throws naming the offending entry
+function loadExclusions(filePath) {
+  return loadJsonConfig(filePath, 'Supply exclusions file', validateExclusions);
+}
+
+// Exclusions of a supply exclusions file, with missing sections defaulted
+function validateExclusions(content, fail) {
+  const checkIdentities = (list, where) => {
+    if (!Array.isArray(list)) fail(`${where} must be a list of identities`);
+    for (const identity of list) {
+      if (!isValidIdentity(identity)) fail(`${where} contains ${identity}, which is not a valid Qubic identity`);
+    }
+  };
+  const checkRules = (rules, where) => {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) fail(`${where} must be an object`);
+    for (const [field, value] of Object.entries(rules)) {
+      if (!RULE_FIELDS[field]) fail(`${where} has unknown rule ${field}`);
+      if (RULE_FIELDS[field] === 'boolean' && typeof value !== 'boolean') fail(`${where}.${field} must be true or false`);
+      if (RULE_FIELDS[field] === 'identities') checkIdentities(value, `${where}.${field}`);
+    }
+  };
+
+  const exclusions = {
+    burnAddresses: content.burnAddresses || [],
+    default: content.default || {},
+    assets: content.assets || {}
+  };
+  checkIdentities(exclusions.burnAddresses, 'burnAddresses');
+  checkRules(exclusions.default, 'default');
+  if (typeof exclusions.assets !== 'object' || Array.isArray(exclusions.assets)) fail('assets must be an object');
+  for (const [assetId, rules] of Object.entries(exclusions.assets)) {
+    let parsedId;
+    try {
+      parsedId = parseAssetId(assetId);
+    } catch (error) {
+      fail(`assets key ${assetId} is not an asset id: ${error.message}`);
+    }
+    if (parsedId.native) fail(`assets key ${assetId}: the supply of the native coin is not computed from ownerships`);
+    checkRules(rules, `assets.${assetId}`);
+  }
+
+  return exclusions;
+}
+
+module.exports = new SupplyCalculator(loadExclusions(config.supply.exclusionsPath));
@@ -0,0 +1,34 @@
+const qubicRpcClient = require('./qubicRpcClient');
+const dataTransformer = require('./dataTransformer');
+const { formatAssetId } = require('./assetId');
+
+/**
+ * Tick data needed to build a block's events
+ *
+ * Transactions of a tick, plus what its DEX transactions need: the tick with its
+ * timestamp (tick lists don't carry one), the tick's event logs (only they tell
+ * whether and how much of an order or swap executed) and the decimal places of the
+ * traded assets. Assets that were never issued are left out; they can't have been
+ * traded. Upstream failures are thrown.
+ */
+
+// { tick, transactions, eventLogs, assetDecimals } of a tick list entry
+async function loadTickData(tick) {
+  const transactions = await qubicRpcClient.getTransactionsForTick(tick.tickNumber);
+  if (!dataTransformer.hasContractTransactions(transactions)) {
+    return { tick, transactions, eventLogs: {}, assetDecimals: {} };
+  }
+
+  const resolvedTick = await qubicRpcClient.resolveTick(tick);
+  const eventLogs = await qubicRpcClient.getEventLogsForTick(tick.tickNumber);
+  const assetDecimals = {};
+  for (const asset of dataTransformer.tradedAssets(transactions)) {
+    const issuance = await qubicRpcClient.getAssetIssuance(asset.issuer, asset.name);
+    if (issuance) assetDecimals[formatAssetId(asset)] = issuance.numberOfDecimalPlaces;
+  }
+  return { tick: resolvedTick, transactions, eventLogs, assetDecimals };
+}
+
+module.exports = {
+  loadTickData
+};
@@ -0,0 +1,185 @@
+/**
+ * Timestamp index: newest tick at or before a given time
+ *
+ * Tick lists carry no timestamps, so a timestamp is only known for ticks that were
+ * resolved individually. Every resolved tick is recorded as a sample of its epoch
+ * (persisted in the local store, with the samples of recently used epochs kept in the
+ * bounded cache), and a lookup is a binary search over tick numbers:
+ * first over epochs by the timestamp of their first tick, then inside the epoch,
+ * starting from the closest samples already known. Each probe resolves one tick, so
+ * a lookup costs at most a few dozen upstream requests and gets cheaper as samples
+ * accumulate.
+ */
+
+// Upper bound on probes per lookup; log2 of a multi-million tick epoch is ~23
+const MAX_PROBES = 40;
+
+// Cache key prefix of an epoch's samples
+const SAMPLES_PREFIX = 'timestampSamples:';
+
+class TimestampIndex {
+  /**
+   * @param {Object} store - local store persisting the samples
+   * @param {Object} cache - bounded CacheStore holding the samples of recently used epochs
+   * @param {Object} epochIndex - epoch index providing each epoch's tick range
+   * @param {Object} sources - { findTickAtOrBefore(epoch, tickNumber, floorTick), findFirstTick(epoch) }
+   *   upstream accessors resolving non-empty ticks with their timestamps
+   */
+  constructor(store, cache, epochIndex, sources) {
+    this.store = store;
+    this.cache = cache;
+    this.epochIndex = epochIndex;
+    this.findTickAtOrBefore = sources.findTickAtOrBefore;
+    this.findFirstTick = sources.findFirstTick;
+  }
+
+  // Record the timestamp of a resolved, non-empty tick
+  record(tick, { epochStart = false } = {}) {
+    if (!tick || tick.isEmpty || tick.epoch === undefined || tick.epoch === null) return;
+
+    const timestamp = Number(tick.timestamp);
+    if (!timestamp) return;
+
+    const samples = this._getSamples(tick.epoch);
+    const index = this._firstIndexAfter(samples, s => s.tickNumber < tick.tickNumber);
+    const existing = samples[index];
+    if (existing && existing.tickNumber === tick.tickNumber) {
+      if (!epochStart || existing.epochStart) return;
+      existing.epochStart = true;
+    } else {
+      samples.splice(index, 0, { tickNumber: tick.tickNumber, timestamp, epochStart });
+    }
+
+    // Set again so the cache's size estimate follows the grown list
+    this.cache.set(SAMPLES_PREFIX + tick.epoch, samples, { finalized: true });
+    this.store.putTimestampSample(tick.epoch, { tickNumber: tick.tickNumber, timestamp, epochStart });
+  }
+
+  /**
+   * Newest non-empty tick whose timestamp (ms) is at or before `timestampMs`
+   * Resolves with null when the timestamp precedes the first indexed epoch.
+   */
+  async findTickAtOrBeforeTimestamp(timestampMs) {
+    const ranges = this.epochIndex.getAll();
+    if (ranges.length === 0) {
+      throw new Error('Epoch index is empty');
+    }
+
+    const epochStart = await this._findEpochStart(ranges, timestampMs);
+    if (!epochStart) {
+      return null;
+    }
+
+    return this._searchEpoch(epochStart.range, epochStart.tick, timestampMs);
+  }
+
+  getStats() {
+    const keys = this.cache.keys(SAMPLES_PREFIX);
+    let samples = 0;
+    for (const key of keys) {
+      samples += (this.cache.peek(key) || []).length;
+    }
+    return { loadedEpochs: keys.length, samples };
+  }
+
+  // ========== Internals ==========
+
+  // Binary search over epochs for the newest one starting at or before the timestamp
+  async _findEpochStart(ranges, timestampMs) {
+    let low = 0;
+    let high = ranges.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      const tick = await this._getEpochStart(ranges[mid]);
+
+      // An epoch without any non-empty tick yet can only be the newest one
+      if (tick && Number(tick.timestamp) <= timestampMs) {
+        found = { range: ranges[mid], tick };
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  async _getEpochStart(range) {
+    const start = this._getSamples(range.epoch).find(s => s.epochStart);
+    if (start) {
+      return { tickNumber: start.tickNumber, timestamp: start.timestamp, epoch: range.epoch };
+    }
+
+    const tick = await this.findFirstTick(range.epoch);
+    this.record(tick, { epochStart: true });
+    return tick;
+  }
+
+  // Binary search over the tick numbers of one epoch; `startTick` is known to be at or before the timestamp
+  async _searchEpoch(range, startTick, timestampMs) {
+    const samples = this._getSamples(range.epoch);
+
+    // Narrow the bounds with samples: newest at or before the timestamp, oldest after it
+    let best = startTick;
+    let upperTick = range.finalTick + 1;
+    for (const sample of samples) {
+      if (sample.timestamp <= timestampMs) {
+        if (sample.tickNumber > best.tickNumber) best = { ...sample, epoch: range.epoch };
+      } else {
+        upperTick = sample.tickNumber;
+        break;
+      }
+    }
+
+    // Invariant: `best` is the newest non-empty tick at or before the timestamp
+    // among ticks <= lowerTick, and every tick >= upperTick is after the timestamp
+    let lowerTick = best.tickNumber;
+    let probes = 0;
+    while (upperTick - lowerTick > 1) {
+      if (++probes > MAX_PROBES) {
+        throw new Error(`Timestamp search in epoch ${range.epoch} exceeded ${MAX_PROBES} probes`);
+      }
+
+      const midTick = Math.floor((lowerTick + upperTick) / 2);
+      const tick = await this.findTickAtOrBefore(range.epoch, midTick, lowerTick);
+
+      if (!tick) {
+        // No non-empty tick in (lowerTick, midTick]
+        lowerTick = midTick;
+      } else if (Number(tick.timestamp) <= timestampMs) {
+        best = tick;
+        lowerTick = midTick;
+      } else {
+        upperTick = tick.tickNumber;
+      }
+    }
+
+    return best;
+  }
+
+  // Samples of an epoch ascending by tick number, loaded from the store when not cached
+  _getSamples(epoch) {
+    let samples = this.cache.get(SAMPLES_PREFIX + epoch);
+    if (!samples) {
+      samples = this.store.getTimestampSamples(epoch);
+      this.cache.set(SAMPLES_PREFIX + epoch, samples, { finalized: true });
+    }
+    return samples;
+  }
+
+  // First index in a sorted array for which `isBefore` is false
+  _firstIndexAfter(array, isBefore) {
+    let low = 0;
+    let high = array.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (isBefore(array[mid])) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+}
+
+module.exports = TimestampIndex;
@@ -0,0 +1,79 @@
+const exchangeRegistry = require('./exchangeRegistry');
+
+/**
+ * Transaction classification ahead of event building
+ *
+ * Most transactions of a tick are plain QU transfers or calls to contracts that are
+ * not exchanges. Only transactions sent to a registered exchange contract are passed
+ * on to the decoders, and of those only the ones that executed: a transaction that
+ * attached QU the archiver reports as not moved (`moneyFlew: false`) never reached
+ * its contract. Transactions without QU attached carry no such signal and are kept;
+ * their event logs tell what they did. Skipped transactions are counted by reason.
+ */
+
+const CLASSES = {
+  EXCHANGE: 'exchange',
+  NOT_EXCHANGE: 'notExchange',
+  NOT_EXECUTED: 'notExecuted'
+};
+
+class TransactionClassifier {
+  constructor() {
+    this.classes = CLASSES;
+    this.stats = { classified: 0, accepted: 0, skipped: { [CLASSES.NOT_EXCHANGE]: 0, [CLASSES.NOT_EXECUTED]: 0 } };
+  }
+
+  // Archiver transaction lists wrap each transaction with its timestamp and moneyFlew flag
+  unwrap(entry) {
+    if (entry && entry.transaction) {
+      return { ...entry.transaction, moneyFlew: entry.moneyFlew };
+    }
+    return entry;
+  }
+
+  // Class of an unwrapped transaction, one of CLASSES
+  classify(transaction) {
+    if (!transaction || !exchangeRegistry.getByAddress(transaction.destId)) return CLASSES.NOT_EXCHANGE;
+    if (transaction.moneyFlew === false && this._attachedQu(transaction) > 0n) return CLASSES.NOT_EXECUTED;
+    return CLASSES.EXCHANGE;
+  }
+
+  /**
+   * Executed exchange transactions of a tick with their position in it: [{ txnIndex, transaction }]
+   * Transactions are unwrapped; every transaction classified is counted in the stats.
+   */
+  filter(transactions) {
+    const accepted = [];
+    if (!Array.isArray(transactions)) return accepted;
+
+    transactions.forEach((entry, txnIndex) => {
+      const transaction = this.unwrap(entry);
+      const transactionClass = this.classify(transaction);
+
+      this.stats.classified++;
+      if (transactionClass === CLASSES.EXCHANGE) {
+        this.stats.accepted++;
+        accepted.push({ txnIndex, transaction });
+      } else {
+        this.stats.skipped[transactionClass]++;
+      }
+    });
+
+    return accepted;
+  }
+
+  // Counters since startup: { classified, accepted, skipped: { notExchange, notExecuted } }
+  getStats() {
+    return { ...this.stats, skipped: { ...this.stats.skipped } };
+  }
+
+  _attachedQu(transaction) {
+    try {
+      return BigInt(transaction.amount || 0);
+    } catch (error) {
+      return 0n;
+    }
+  }
+}
+
+module.exports = new TransactionClassifier();
@@ -1,13 +1,35 @@
 /**
  * Test script for the Qubic DEXTools adapter
  * Tests all available endpoints to ensure they work as expected
+ *
+ * Run with `node test.js --offline` to start the adapter against the local mock
+ * Qubic RPC server (mock/qubicRpcServer.js) instead of a running adapter.
  */
 const axios = require('axios');
+const { isDeepStrictEqual } = require('util');
 require('dotenv').config();
+const { MOCK_ISSUER_ID, MOCK_TRADER_ID, MOCK_QX_ASSET_NAME, MOCK_EPOCHS } = require('./mock/fixtures');
+
+const OFFLINE = process.argv.includes('--offline');
 
 // Get port from environment or use default
 const PORT = process.env.PORT || 3000;
-const BASE_URL = `http://localhost:${PORT}`;
+let BASE_URL = `http://localhost:${PORT}`;
+
+// Canonical id (`<issuer>.<name>`) of the asset issued by the mock server
+const MOCK_ASSET_ID = `${MOCK_ISSUER_ID}.${MOCK_QX_ASSET_NAME}`;
+
+// Amounts, reserves and supplies are decimal strings with a fractional part (see the spec)
+const AMOUNT_PATTERN = /^\d+(?:\.\d+)$/;
+
+// Event fields holding amounts
+const AMOUNT_FIELDS = ['asset0In', 'asset1In', 'asset0Out', 'asset1Out', 'amount0', 'amount1'];
+
+// Fixture ticks are one second apart, starting at 2025-01-01 00:00:00 UTC
+const FIXTURE_START_SECONDS = Date.UTC(2025, 0, 1) / 1000;
+
+// Number of failed checks, used for the exit code in offline mode
+let failureCount = 0;
 
 // Helper to format response logs
 const formatResponse = (response) => {
@@ -17,6 +39,30 @@ const formatResponse = (response) => {
   return response;
 };
 
+// Log a failed request and count it
+const reportFailure = (error) => {
+  failureCount++;
+  console.log(`FAILED! Error: ${error.message}`);
+  if (error.response) {
+    console.log(`Response: ${formatResponse(error.response.data)}`);
+  }
+};
+
+// Request a url that must be rejected with `status`; anything else counts as a failure
+const expectRejection = async (url, status, description) => {
+  try {
+    const response = await axios.get(url);
+    failureCount++;
+    console.log(`FAILED! ${description} was served: ${formatResponse(response.data)}`);
+  } catch (error) {
+    if (error.response && error.response.status === status) {
+      console.log(`SUCCESS! Rejected with: ${formatResponse(error.response.data)}`);
+    } else {
+      reportFailure(error);
+    }
+  }
+};
+
 // Check if the adapter is running
 async function isAdapterRunning() {
   try {
@@ -37,9 +83,20 @@ async function testAllEndpoints() {
     console.log(`SUCCESS! Response: ${formatResponse(latestBlockResponse.data)}`);
     
     if (!latestBlockResponse.data.block || !latestBlockResponse.data.block.blockNumber) {
+      failureCount++;
       console.log('Latest block response does not contain a valid block number');
     } else {
       const blockNumber = latestBlockResponse.data.block.blockNumber;
+
+      // The reported head never moves backwards
+      console.log('\n1.1 Testing /latest-block again...');
+      const repeatedResponse = await axios.get(`${BASE_URL}/latest-block`);
+      console.log(`SUCCESS! Response: ${formatResponse(repeatedResponse.data)}`);
+      if (repeatedResponse.data.block.blockNumber < blockNumber) {
+        failureCount++;
+        console.log('FAILED! Latest block moved backwards');
+      }
+
       console.log(`\n2. Testing /block endpoint with number=${blockNumber}...`);
       
       // Test /block endpoint with block number
@@ -54,12 +111,18 @@ async function testAllEndpoints() {
           const timestampResponse = await axios.get(`${BASE_URL}/block?timestamp=${timestamp}`);
           console.log(`SUCCESS! Response: ${formatResponse(timestampResponse.data)}`);
         } catch (error) {
-          console.log(`FAILED! Error: ${error.message}`);
-          if (error.response) {
-            console.log(`Response: ${formatResponse(error.response.data)}`);
-          }
+          reportFailure(error);
         }
         
+        // A block that doesn't exist yet is a 404, never the nearest existing one
+        const futureBlock = blockNumber + 1000000;
+        console.log(`\n2.2 Testing /block endpoint with a future block number=${futureBlock}...`);
+        await expectRejection(`${BASE_URL}/block?number=${futureBlock}`, 404, 'A future block');
+        
+        // So is a timestamp before the first tick
+        console.log('\n2.3 Testing /block endpoint with a timestamp before the first tick...');
+        await expectRejection(`${BASE_URL}/block?timestamp=1`, 404, 'A block before the first tick');
+        
         // Test events endpoint
         const fromBlock = Math.max(0, blockNumber - 2);
         const toBlock = blockNumber;
@@ -71,80 +134,304 @@ async function testAllEndpoints() {
           console.log(`SUCCESS! Events count: ${eventsCount}`);
           
           if (eventsCount === 0) {
-            console.log('\nNo events found in the specified range. Testing with mock data...');
+            console.log('\nNo events found in the specified range; exact events are checked offline');
           } else {
             console.log(`First event: ${formatResponse(eventsResponse.data.events[0])}`);
           }
-        } catch (error) {
-          console.log(`FAILED! Error: ${error.message}`);
-          if (error.response) {
-            console.log(`Response: ${formatResponse(error.response.data)}`);
+
+          // eventIndex is txnIndex * 10000 plus the event's position in its transaction, unique per block
+          const seenIndexes = new Set();
+          const invalidEvents = eventsResponse.data.events.filter(event => {
+            const key = `${event.block.blockNumber}:${event.eventIndex}`;
+            const duplicate = seenIndexes.has(key);
+            seenIndexes.add(key);
+
+            const amounts = AMOUNT_FIELDS.map(field => event[field])
+              .concat(event.reserves ? [event.reserves.asset0, event.reserves.asset1] : [])
+              .filter(amount => amount !== undefined);
+            return duplicate || Math.floor(event.eventIndex / 10000) !== event.txnIndex ||
+              amounts.some(amount => !AMOUNT_PATTERN.test(amount));
+          });
+          if (invalidEvents.length > 0) {
+            failureCount++;
+            console.log(`FAILED! Events with invalid indexes or amounts: ${formatResponse(invalidEvents)}`);
           }
+        } catch (error) {
+          reportFailure(error);
         }
         
       } catch (error) {
-        console.log(`FAILED! Error: ${error.message}`);
-        if (error.response) {
-          console.log(`Response: ${formatResponse(error.response.data)}`);
-        }
+        reportFailure(error);
       }
     }
   } catch (error) {
-    console.log(`FAILED! Error: ${error.message}`);
-    if (error.response) {
-      console.log(`Response: ${formatResponse(error.response.data)}`);
+    reportFailure(error);
+  }
+  
+  // Test asset endpoint with the native coin
+  console.log('\n4. Testing /asset endpoint with id=QU...');
+  try {
+    const quResponse = await axios.get(`${BASE_URL}/asset?id=QU`);
+    console.log(`SUCCESS! Response: ${formatResponse(quResponse.data)}`);
+
+    const { totalSupply, circulatingSupply } = quResponse.data.asset;
+    if (!AMOUNT_PATTERN.test(totalSupply) || !AMOUNT_PATTERN.test(circulatingSupply)) {
+      failureCount++;
+      console.log('FAILED! QU supplies are not formatted as spec amounts');
     }
+  } catch (error) {
+    reportFailure(error);
   }
   
-  // Test pair endpoint with mock id
-  console.log('\n4. Testing /pair endpoint with mock id...');
+  // A malformed asset id must be rejected
+  console.log('\n4.1 Testing /asset endpoint with a malformed id...');
   try {
-    const pairResponse = await axios.get(`${BASE_URL}/pair?id=mock-token1:mock-token2`);
-    console.log(`SUCCESS! Response: ${formatResponse(pairResponse.data)}`);
+    await axios.get(`${BASE_URL}/asset?id=mock-asset-id`);
+    failureCount++;
+    console.log('FAILED! Malformed asset id was accepted');
   } catch (error) {
-    console.log(`FAILED! Error: ${error.message}`);
-    if (error.response) {
-      console.log(`Response: ${formatResponse(error.response.data)}`);
+    if (error.response && error.response.status === 400) {
+      console.log(`SUCCESS! Rejected with: ${formatResponse(error.response.data)}`);
+    } else {
+      reportFailure(error);
     }
   }
   
+  // Test exchange endpoint with an alias of a registered exchange and with its contract identity
+  console.log('\n5. Testing /exchange endpoint with id=QX...');
+  try {
+    const exchangeResponse = await axios.get(`${BASE_URL}/exchange?id=QX`);
+    console.log(`SUCCESS! Response: ${formatResponse(exchangeResponse.data)}`);
+    
+    const { factoryAddress } = exchangeResponse.data.exchange;
+    console.log(`\n5.1 Testing /exchange endpoint with id=${factoryAddress}...`);
+    const byAddressResponse = await axios.get(`${BASE_URL}/exchange?id=${factoryAddress}`);
+    console.log(`SUCCESS! Response: ${formatResponse(byAddressResponse.data)}`);
+  } catch (error) {
+    reportFailure(error);
+  }
+  
+  console.log('\n=== DEXTools Adapter Testing Complete ===');
+}
+
+// Checks of the mock server's fixture data (pairs, the mock asset, QU statistics); offline only
+async function testFixtureEndpoints() {
+  console.log('\n=== Fixture data checks ===');
+  
+  // Only swaps of the mock pairs have been served so far: the Qswap pool's creation is found from its
+  // replayed reserves, while the QX pair has no creation to be found until /events serves it
+  const creationBlock = MOCK_EPOCHS[0].initialTick;
+  console.log(`\n6. Testing /pair endpoint before /events served block ${creationBlock}...`);
+  try {
+    for (const [contract, expectedBlock] of [['QX', undefined], ['QSWAP', creationBlock]]) {
+      const pairResponse = await axios.get(`${BASE_URL}/pair?id=${contract}:${MOCK_ASSET_ID}:QU`);
+      console.log(`SUCCESS! Response: ${formatResponse(pairResponse.data)}`);
+      
+      if (pairResponse.data.pair.createdAtBlockNumber !== expectedBlock) {
+        failureCount++;
+        console.log(`FAILED! ${contract} pair was not served with creation block ${expectedBlock}`);
+      }
+    }
+  } catch (error) {
+    reportFailure(error);
+  }
+
+  // A pair whose asset was never issued was never created
+  console.log('\n6.1 Testing /pair endpoint with a pair that was never created...');
+  try {
+    await axios.get(`${BASE_URL}/pair?id=QX:${MOCK_ISSUER_ID}.NOPE:QU`);
+    failureCount++;
+    console.log('FAILED! A pair that was never created was served');
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      console.log(`SUCCESS! Rejected with: ${formatResponse(error.response.data)}`);
+    } else {
+      reportFailure(error);
+    }
+  }
+
+  // The mock's 16th QX order is a bid that never executed, in a block with a plain transfer
+  const skippedBlock = creationBlock + 15 * 25;
+  console.log(`\n6.2 Testing /events skips transactions that are not executed exchange calls (block ${skippedBlock})...`);
+  try {
+    const eventsResponse = await axios.get(`${BASE_URL}/events?fromBlock=${skippedBlock}&toBlock=${skippedBlock}`);
+    console.log(`SUCCESS! Events count: ${eventsResponse.data.events.length}`);
+
+    if (eventsResponse.data.events.length !== 0) {
+      failureCount++;
+      console.log('FAILED! Events were built for a transfer or a bid that was not executed');
+    }
+
+    const healthResponse = await axios.get(`${BASE_URL}/health`, { validateStatus: () => true });
+    const { skipped } = healthResponse.data.details.transactions;
+    console.log(`Skipped transactions: ${formatResponse(skipped)}`);
+    if (!(skipped.notExchange > 0) || !(skipped.notExecuted > 0)) {
+      failureCount++;
+      console.log('FAILED! Skipped transactions are not counted under /health');
+    }
+  } catch (error) {
+    reportFailure(error);
+  }
+
+  // Ticks before the first epoch, between two epochs and empty ticks are no blocks
+  const firstEpoch = MOCK_EPOCHS[0];
+  const unknownBlocks = [
+    ['pruned', firstEpoch.initialTick - 1000],
+    ['unknown', firstEpoch.initialTick + firstEpoch.tickCount + 1000],
+    ['empty', firstEpoch.initialTick + 7]
+  ];
+  for (const [kind, block] of unknownBlocks) {
+    console.log(`\n6.3 Testing /block endpoint with ${kind} block number=${block}...`);
+    await expectRejection(`${BASE_URL}/block?number=${block}`, 404, `The ${kind} block`);
+  }
+
   // Test asset endpoint with mock id
-  console.log('\n5. Testing /asset endpoint with mock id...');
+  console.log('\n7. Testing /asset endpoint with mock id...');
   try {
-    const assetResponse = await axios.get(`${BASE_URL}/asset?id=mock-asset-id`);
+    const assetResponse = await axios.get(`${BASE_URL}/asset?id=${MOCK_ASSET_ID}`);
     console.log(`SUCCESS! Response: ${formatResponse(assetResponse.data)}`);
     
+    // The issuer's treasury and the shares owned by Qswap don't circulate
+    if (assetResponse.data.asset.totalSupply !== '10000.0' || assetResponse.data.asset.circulatingSupply !== '3600.0') {
+      failureCount++;
+      console.log('FAILED! Circulating supply does not exclude the issuer and contract-owned shares');
+    }
+    
     // Test asset holders endpoint with the same mock id
-    console.log('\n5.1 Testing /asset/holders endpoint with mock id...');
+    console.log('\n7.1 Testing /asset/holders endpoint with mock id...');
     try {
-      const holdersResponse = await axios.get(`${BASE_URL}/asset/holders?id=mock-asset-id`);
-      console.log(`SUCCESS! Holders count: ${holdersResponse.data.holders ? holdersResponse.data.holders.length : 0}`);
-    } catch (error) {
-      console.log(`FAILED! Error: ${error.message}`);
-      if (error.response) {
-        console.log(`Response: ${formatResponse(error.response.data)}`);
+      const holdersResponse = await axios.get(`${BASE_URL}/asset/holders?id=${MOCK_ASSET_ID}`);
+      console.log(`SUCCESS! Response: ${formatResponse(holdersResponse.data)}`);
+      
+      // The mock asset is owned by the issuer, a trader (under two managing contracts), a counterparty and Qswap
+      const { holders, totalHoldersCount } = holdersResponse.data;
+      if (totalHoldersCount !== 4 || holders.length !== 4 || holders[0].address !== MOCK_ISSUER_ID || holders[1].quantity !== '3000.0') {
+        failureCount++;
+        console.log('FAILED! Holders are not aggregated per identity and sorted by quantity');
       }
+    } catch (error) {
+      reportFailure(error);
     }
   } catch (error) {
-    console.log(`FAILED! Error: ${error.message}`);
-    if (error.response) {
-      console.log(`Response: ${formatResponse(error.response.data)}`);
+    reportFailure(error);
+  }
+  
+  // Test the operator supply breakdown
+  console.log('\n7.2 Testing /asset/supply endpoint with mock id...');
+  try {
+    const supplyResponse = await axios.get(`${BASE_URL}/asset/supply?id=${MOCK_ASSET_ID}`);
+    console.log(`SUCCESS! Response: ${formatResponse(supplyResponse.data)}`);
+    
+    const reasons = supplyResponse.data.supply.excluded.map(entry => entry.reason).join(',');
+    if (reasons !== 'issuer,contract') {
+      failureCount++;
+      console.log(`FAILED! Expected the issuer and Qswap to be excluded, got ${reasons}`);
     }
+  } catch (error) {
+    reportFailure(error);
   }
   
-  // Test exchange endpoint with mock id
-  console.log('\n6. Testing /exchange endpoint with mock id...');
+  // Test the native coin against the mock's latest stats and rich list
+  console.log('\n7.3 Testing /asset endpoint with id=QU...');
   try {
-    const exchangeResponse = await axios.get(`${BASE_URL}/exchange?id=mock-factory-id`);
-    console.log(`SUCCESS! Response: ${formatResponse(exchangeResponse.data)}`);
+    const quResponse = await axios.get(`${BASE_URL}/asset?id=QU`);
+    console.log(`SUCCESS! Response: ${formatResponse(quResponse.data)}`);
+
+    // The reported circulating supply has burned QU taken out already, and so has the total supply
+    const { totalSupply, circulatingSupply, holdersCount } = quResponse.data.asset;
+    if (totalSupply !== '119000000000000.0' || circulatingSupply !== '119000000000000.0' || holdersCount !== 7) {
+      failureCount++;
+      console.log('FAILED! QU supply is not net of burned QU or holders are not counted by the rich list');
+    }
+
+    console.log('\n7.3.1 Testing /asset/holders endpoint with id=QU...');
+    const quHoldersResponse = await axios.get(`${BASE_URL}/asset/holders?id=QU`);
+    console.log(`SUCCESS! Response: ${formatResponse(quHoldersResponse.data)}`);
+
+    const { holders, totalHoldersCount } = quHoldersResponse.data;
+    if (totalHoldersCount !== 7 || holders.length !== 7 || holders[0].quantity !== '50000000000.0') {
+      failureCount++;
+      console.log('FAILED! QU holders are not served from the rich list');
+    }
   } catch (error) {
-    console.log(`FAILED! Error: ${error.message}`);
-    if (error.response) {
-      console.log(`Response: ${formatResponse(error.response.data)}`);
+    reportFailure(error);
+  }
+
+  // Exact events of fixture blocks, built from their transactions and event logs (see mock/fixtures.js):
+  // the pairs' creation, a Qswap join and exit, and a block with a plain transfer (txnIndex 0, no event),
+  // a QX ask filling 5 shares at 100 QU and a Qswap swap for exactly 10 shares whose refund is netted out.
+  // The mock asset has 2 decimal places.
+  const fixtureEvent = (offset, txnIndex, contract, maker, fields) => ({
+    block: { blockNumber: creationBlock + offset, blockTimestamp: FIXTURE_START_SECONDS + offset },
+    txnId: `mock${contract.toLowerCase()}${creationBlock + offset}`,
+    txnIndex,
+    maker,
+    pairId: `${contract}:${MOCK_ASSET_ID}:QU`,
+    eventIndex: txnIndex * 10000,
+    ...fields
+  });
+  const expectedEvents = [
+    [0, [
+      fixtureEvent(0, 1, 'QX', MOCK_ISSUER_ID, { eventType: 'creation' }),
+      fixtureEvent(0, 2, 'QSWAP', MOCK_ISSUER_ID, { eventType: 'creation' })
+    ]],
+    [30, [
+      fixtureEvent(30, 1, 'QSWAP', MOCK_TRADER_ID, {
+        eventType: 'join', amount0: '50.0', amount1: '500000.0', reserves: { asset0: '50.0', asset1: '500000.0' }
+      })
+    ]],
+    [180, [
+      fixtureEvent(180, 1, 'QSWAP', MOCK_TRADER_ID, {
+        eventType: 'exit', amount0: '0.7', amount1: '7000.0', reserves: { asset0: '49.32', asset1: '493070.0' }
+      })
+    ]],
+    [300, [
+      fixtureEvent(300, 1, 'QX', MOCK_TRADER_ID, {
+        eventType: 'swap', asset0In: '0.05', asset1In: '0.0', asset0Out: '0.0', asset1Out: '500.0'
+      }),
+      fixtureEvent(300, 2, 'QSWAP', MOCK_TRADER_ID, {
+        eventType: 'swap', asset0In: '0.0', asset1In: '1050.0', asset0Out: '0.1', asset1Out: '0.0',
+        reserves: { asset0: '49.32', asset1: '493140.0' }
+      })
+    ]]
+  ];
+  for (const [offset, expected] of expectedEvents) {
+    const block = creationBlock + offset;
+    console.log(`\n8. Testing /events returns the exact events of block ${block}, identically when repeated...`);
+    try {
+      const eventsUrl = `${BASE_URL}/events?fromBlock=${block}&toBlock=${block}`;
+      const eventsResponse = await axios.get(eventsUrl);
+      const repeatedResponse = await axios.get(eventsUrl);
+      console.log(`SUCCESS! Response: ${formatResponse(eventsResponse.data)}`);
+
+      if (!isDeepStrictEqual(eventsResponse.data.events, expected)) {
+        failureCount++;
+        console.log(`FAILED! Expected: ${formatResponse(expected)}`);
+      }
+      if (!isDeepStrictEqual(repeatedResponse.data, eventsResponse.data)) {
+        failureCount++;
+        console.log(`FAILED! Repeated request returned: ${formatResponse(repeatedResponse.data)}`);
+      }
+    } catch (error) {
+      reportFailure(error);
     }
   }
-  
-  console.log('\n=== DEXTools Adapter Testing Complete ===');
+
+  // Building the events of the creation block (for the Qswap pool in step 6, then for /events) registered the
+  // QX pair's creation over the one it was served without
+  console.log(`\n8.1 Testing /pair endpoint after /events served block ${creationBlock}...`);
+  try {
+    const pairResponse = await axios.get(`${BASE_URL}/pair?id=QX:${MOCK_ASSET_ID}:QU`);
+    console.log(`SUCCESS! Response: ${formatResponse(pairResponse.data)}`);
+
+    const { createdAtBlockNumber, createdAtTxnId } = pairResponse.data.pair;
+    if (createdAtBlockNumber !== creationBlock || createdAtTxnId !== `mockqx${creationBlock}`) {
+      failureCount++;
+      console.log(`FAILED! QX pair was not created at block ${creationBlock}`);
+    }
+  } catch (error) {
+    reportFailure(error);
+  }
 }
 
 async function testAdapter() {
@@ -180,8 +467,300 @@ async function testAdapter() {
   }
 }
 
+// Pool reserves are rebuilt by a background catch-up; a request calling Qswap far ahead of its
+// checkpoint is a 500 naming the block reached, and is served with reserves once the catch-up has
+// passed it. Requests without Qswap calls never wait for reserves, and /latest-block is held
+// back to blocks /events can serve.
+async function testReservesCatchUp() {
+  const reservesEngine = require('./src/services/reservesEngine');
+  const { maxRequestReplayTicks } = require('./src/config').reserves;
+  const checkpoint = await reservesEngine.getCheckpointTick();
+  console.log(`0. Testing /latest-block stays within reach of the pool reserves checkpoint (block ${checkpoint})...`);
+  try {
+    const latestBlockResponse = await axios.get(`${BASE_URL}/latest-block`);
+    console.log(`SUCCESS! Response: ${formatResponse(latestBlockResponse.data)}`);
+
+    // Every 30th block calls Qswap, so the 30 blocks up to the head need pool reserves
+    const head = latestBlockResponse.data.block.blockNumber;
+    if (head > checkpoint + maxRequestReplayTicks) {
+      failureCount++;
+      console.log(`FAILED! Latest block ${head} is more than ${maxRequestReplayTicks} blocks past the checkpoint`);
+    }
+    const eventsResponse = await axios.get(`${BASE_URL}/events?fromBlock=${head - 29}&toBlock=${head}`);
+    console.log(`SUCCESS! Events count: ${eventsResponse.data.events.length}`);
+    if (!eventsResponse.data.events.some(event => event.reserves)) {
+      failureCount++;
+      console.log('FAILED! No Qswap events with reserves were served up to the latest block');
+    }
+  } catch (error) {
+    reportFailure(error);
+  }
+
+  const qswapBlock = MOCK_EPOCHS[1].initialTick + 30;
+  console.log(`\n0.1 Testing /events far ahead of the pool reserves checkpoint (block ${qswapBlock})...`);
+  try {
+    await axios.get(`${BASE_URL}/events?fromBlock=${qswapBlock}&toBlock=${qswapBlock}`);
+    failureCount++;
+    console.log('FAILED! Reserves were replayed on the request path');
+  } catch (error) {
+    if (error.response && error.response.status === 500 && /still catching up/.test(error.response.data.issues[0].message)) {
+      console.log(`SUCCESS! Rejected with: ${formatResponse(error.response.data)}`);
+    } else {
+      reportFailure(error);
+    }
+  }
+
+  // The mock's second QX order of the epoch fills, in a block without Qswap calls
+  const qxBlock = MOCK_EPOCHS[1].initialTick + 25;
+  console.log(`\n0.2 Testing /events without Qswap calls far ahead of the checkpoint (block ${qxBlock})...`);
+  try {
+    const eventsResponse = await axios.get(`${BASE_URL}/events?fromBlock=${qxBlock}&toBlock=${qxBlock}`);
+    console.log(`SUCCESS! Response: ${formatResponse(eventsResponse.data)}`);
+    if (!eventsResponse.data.events.some(event => event.eventType === 'swap')) {
+      failureCount++;
+      console.log('FAILED! The QX fill was not served');
+    }
+  } catch (error) {
+    reportFailure(error);
+  }
+
+  console.log('\n0.3 Testing /events after the background catch-up...');
+  try {
+    await reservesEngine.catchUp();
+    const eventsResponse = await axios.get(`${BASE_URL}/events?fromBlock=${qswapBlock}&toBlock=${qswapBlock}`);
+    console.log(`SUCCESS! Response: ${formatResponse(eventsResponse.data)}`);
+    if (!eventsResponse.data.events.some(event => event.reserves)) {
+      failureCount++;
+      console.log('FAILED! Qswap events carry no reserves after the catch-up');
+    }
+  } catch (error) {
+    reportFailure(error);
+  }
+  console.log('');
+}
+
+// Archiver endpoints as reported under /health
+async function getArchiverEndpoints() {
+  const healthResponse = await axios.get(`${BASE_URL}/health`, { validateStatus: () => true });
+  return healthResponse.data.details.services.mainRpc.endpoints.archiver;
+}
+
+// Upstream failures injected into the mock servers; offline only
+async function testUpstreamFailures(mockServer, secondaryServer) {
+  console.log('\n=== Upstream failure checks ===');
+
+  // /latest-block reads the archiver status on every call; with both archivers failing each attempt
+  // tries both, they are ejected, and the head stays where it was
+  console.log('\n9. Testing archiver endpoint ejection and failover...');
+  try {
+    for (const server of [mockServer, secondaryServer]) {
+      server.resetRequests();
+      server.injectFailure({ path: '/v1/status', status: 500 });
+    }
+    const before = await axios.get(`${BASE_URL}/latest-block`);
+    let archivers = await getArchiverEndpoints();
+    console.log(`Archivers: ${formatResponse(archivers)}`);
+    if (archivers.some(endpoint => endpoint.healthy) || mockServer.getRequestCount('/v1/status') < 3) {
+      failureCount++;
+      console.log('FAILED! Archivers failing repeatedly were not ejected');
+    }
+
+    // Once the secondary recovers, requests fail over to it while the primary stays ejected
+    secondaryServer.clearFailures();
+    const after = await axios.get(`${BASE_URL}/latest-block`);
+    archivers = await getArchiverEndpoints();
+    console.log(`SUCCESS! Response: ${formatResponse(after.data)}`);
+    if (archivers[0].healthy || !archivers[1].healthy || after.data.block.blockNumber < before.data.block.blockNumber) {
+      failureCount++;
+      console.log('FAILED! Requests did not fail over to the recovered archiver');
+    }
+  } catch (error) {
+    reportFailure(error);
+  } finally {
+    mockServer.clearFailures();
+    secondaryServer.clearFailures();
+  }
+
+  const qubicRpcClient = require('./src/services/qubicRpcClient');
+  const { resilience } = require('./src/config');
+
+  // The QU supply comes from the live RPC's latest stats, cached for the mutable TTL;
+  // a transient failure is retried after the Retry-After the upstream sent
+  console.log('\n9.1 Testing a retried upstream failure honors Retry-After...');
+  try {
+    qubicRpcClient.invalidateCache('latestStats');
+    mockServer.resetRequests();
+    mockServer.injectFailure({ path: '/v1/latest-stats', status: 503, times: 1, retryAfter: 1 });
+    const startedAt = Date.now();
+    const quResponse = await axios.get(`${BASE_URL}/asset?id=QU`);
+    const elapsedMs = Date.now() - startedAt;
+    console.log(`SUCCESS! Served after ${elapsedMs}ms: ${formatResponse(quResponse.data)}`);
+    if (elapsedMs < 1000 || mockServer.getRequestCount('/v1/latest-stats') !== 2) {
+      failureCount++;
+      console.log('FAILED! The failed request was not retried once after its Retry-After');
+    }
+  } catch (error) {
+    reportFailure(error);
+  } finally {
+    mockServer.clearFailures();
+  }
+
+  // A failure outlasting the retry budget of its endpoint class is a 500
+  console.log('\n9.2 Testing an upstream failure outlasting the retry budget...');
+  qubicRpcClient.invalidateCache('latestStats');
+  mockServer.resetRequests();
+  mockServer.injectFailure({ path: '/v1/latest-stats', status: 500 });
+  await expectRejection(`${BASE_URL}/asset?id=QU`, 500, 'The QU asset without latest stats');
+  mockServer.clearFailures();
+  if (mockServer.getRequestCount('/v1/latest-stats') !== resilience.retryBudgets.other + 1) {
+    failureCount++;
+    console.log(`FAILED! Expected ${resilience.retryBudgets.other + 1} attempts, got ${mockServer.getRequestCount('/v1/latest-stats')}`);
+  }
+
+  // Health checks are never retried, so each failed one counts once against the live RPC's circuit;
+  // once it opens, calls fail fast without reaching upstream until the reset timeout lets a trial through
+  console.log('\n9.3 Testing the circuit breaker opens and recovers...');
+  try {
+    mockServer.injectFailure({ path: '/v1/healthcheck', status: 500 });
+    for (let i = 0; i < resilience.breakerFailureThreshold; i++) {
+      await axios.get(`${BASE_URL}/health/rpc`, { validateStatus: () => true });
+    }
+    mockServer.resetRequests();
+    const openResponse = await axios.get(`${BASE_URL}/health/rpc`, { validateStatus: () => true });
+    console.log(`Response while open: ${formatResponse(openResponse.data.details.error)}`);
+    if (openResponse.status !== 503 || !/Circuit for rpc is open/.test(openResponse.data.details.error) ||
+        mockServer.getRequestCount('/v1/healthcheck') !== 0) {
+      failureCount++;
+      console.log('FAILED! The circuit did not open and fail fast');
+    }
+
+    mockServer.clearFailures();
+    await new Promise(resolve => setTimeout(resolve, resilience.breakerResetMs + 100));
+    const recoveredResponse = await axios.get(`${BASE_URL}/health/rpc`);
+    console.log(`SUCCESS! Recovered: ${formatResponse(recoveredResponse.data.details.endpoints.circuits)}`);
+  } catch (error) {
+    reportFailure(error);
+  } finally {
+    mockServer.clearFailures();
+  }
+
+  // The API health route remembered so far is /v1/health; once it has been missing
+  // reprobeAfterFailures times in a row, the candidates are probed again and /v2/health is found
+  console.log('\n9.4 Testing route discovery probes again after the remembered route fails...');
+  try {
+    const { reprobeAfterFailures } = require('./src/config').routes;
+    mockServer.injectFailure({ path: /^\/v1\/health$/, status: 404 });
+    const endpoints = [];
+    for (let i = 0; i < reprobeAfterFailures; i++) {
+      const apiResponse = await axios.get(`${BASE_URL}/health/api`);
+      endpoints.push(apiResponse.data.details.endpoint);
+    }
+    console.log(`Endpoints answering: ${endpoints.join(', ')}`);
+    if (endpoints[reprobeAfterFailures - 1] !== '/v2/health' || endpoints.slice(0, -1).includes('/v2/health')) {
+      failureCount++;
+      console.log(`FAILED! Expected /v2/health to be discovered on attempt ${reprobeAfterFailures}`);
+    } else {
+      console.log('SUCCESS! Route rediscovered');
+    }
+  } catch (error) {
+    reportFailure(error);
+  } finally {
+    mockServer.clearFailures();
+  }
+
+  // Concurrent requests for the same uncached resource share one upstream call; the mock
+  // holds the first latest stats response back so the requests overlap
+  console.log('\n9.5 Testing concurrent identical requests are coalesced...');
+  try {
+    qubicRpcClient.invalidateCache('latestStats');
+    mockServer.resetRequests();
+    mockServer.injectFailure({ path: '/v1/latest-stats', status: 0, delayMs: 200, times: 1 });
+    await Promise.all(Array.from({ length: 5 }, () => axios.get(`${BASE_URL}/asset?id=QU`)));
+    const requestCount = mockServer.getRequestCount('/v1/latest-stats');
+    console.log(`Upstream latest stats requests: ${requestCount}`);
+    if (requestCount !== 1) {
+      failureCount++;
+      console.log('FAILED! Concurrent requests were not coalesced into one upstream call');
+    }
+  } catch (error) {
+    reportFailure(error);
+  } finally {
+    mockServer.clearFailures();
+  }
+
+  // Cached latest stats are served without going upstream until they are invalidated
+  console.log('\n9.6 Testing cache hits and explicit invalidation...');
+  try {
+    const { hits } = qubicRpcClient.getCacheStats().namespaces.latestStats;
+    mockServer.resetRequests();
+    await axios.get(`${BASE_URL}/asset?id=QU`);
+    const cachedRequests = mockServer.getRequestCount('/v1/latest-stats');
+
+    qubicRpcClient.invalidateCache('latestStats');
+    await axios.get(`${BASE_URL}/asset?id=QU`);
+    const invalidatedRequests = mockServer.getRequestCount('/v1/latest-stats') - cachedRequests;
+
+    const healthResponse = await axios.get(`${BASE_URL}/health`, { validateStatus: () => true });
+    const stats = healthResponse.data.details.cache.namespaces.latestStats;
+    console.log(`Latest stats cache: ${formatResponse(stats)}`);
+    if (cachedRequests !== 0 || invalidatedRequests !== 1 || stats.hits <= hits || stats.invalidations < 1) {
+      failureCount++;
+      console.log('FAILED! Latest stats were not served from the cache until invalidated');
+    }
+  } catch (error) {
+    reportFailure(error);
+  }
+}
+
+// Start the mock RPC server and the adapter in-process, run all endpoint tests, then shut down
+async function testOffline() {
+  const MockRpcServer = require('./mock/qubicRpcServer');
+  const mockServer = new MockRpcServer();
+  const mockUrl = await mockServer.start(0);
+  console.log(`Mock Qubic RPC server running at ${mockUrl}`);
+
+  // A second mock serves as a fallback archiver
+  const secondaryServer = new MockRpcServer();
+  const secondaryUrl = await secondaryServer.start(0);
+  console.log(`Secondary mock archiver running at ${secondaryUrl}`);
+
+  // The adapter reads its config on first require, so point it at the mocks beforehand
+  // and keep the local store in memory
+  process.env.QUBIC_RPC_URL = mockUrl;
+  process.env.QUBIC_ARCHIVER_URLS = `${mockUrl},${secondaryUrl}`;
+  process.env.STORE_PATH = process.env.STORE_PATH || ':memory:';
+  // Circuits opened by injected failures close again within the test
+  process.env.QUBIC_BREAKER_RESET_MS = '1000';
+  const app = require('./src/app');
+  const adapterServer = await new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+  BASE_URL = `http://localhost:${adapterServer.address().port}`;
+
+  try {
+    await testReservesCatchUp();
+    await testAllEndpoints();
+    await testFixtureEndpoints();
+    await testUpstreamFailures(mockServer, secondaryServer);
+  } finally {
+    await new Promise(resolve => adapterServer.close(resolve));
+    await mockServer.stop();
+    await secondaryServer.stop();
+  }
+
+  if (failureCount > 0) {
+    console.error(`\n${failureCount} check(s) failed`);
+    process.exitCode = 1;
+  }
+}
+
 // Main
 (async () => {
+  if (OFFLINE) {
+    await testOffline();
+    return;
+  }
+
   if (await isAdapterRunning()) {
     await testAllEndpoints();
   } else {
@@ -190,6 +769,6 @@ async function testAdapter() {
     console.log('  npm start\n');
     console.log('In a separate terminal, then run this test again.');
   }
-})();
 
-testAdapter(); 
\ No newline at end of file
+  await testAdapter();
+})();
\ No newline at end of file